@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+
+/**
+ * Command-line interface: `claude-code-kanban <command>` reads the task files and transcripts
+ * through the same loaders as the server and prints to the terminal instead of serving the board.
+ * Every command accepts --json for scripting, and the server's --dir options to choose the roots.
+ */
+const { writeFileSync } = require('fs');
+const chokidar = require('chokidar');
+const kanban = require('./server');
+
+const STATUS_GROUPS = [['in_progress', 'In Progress'], ['pending', 'Pending'], ['completed', 'Completed']];
+const VALUE_FLAGS = ['--dir', '--format', '--project', '--limit', '--output'];
+const WATCH_DEBOUNCE = 100;
+
+const USAGE = `Usage: claude-code-kanban [command] [options]
+
+Without a command, starts the web board.
+
+Commands:
+  ls                      Sessions with task counts, newest first
+  show <session>          A session's tasks grouped by status
+  watch <session>         Live view of a session's tasks (with --json, one change per line)
+  export <session>        Export a session (or --project=<path>) to stdout or --output
+  stats [session]         Cycle time, lead time and throughput (all sessions, one, or --project)
+  help                    Show this help
+
+<session> is a session id, a unique id prefix, or the session's name.
+
+Options:
+  --json                  Machine-readable output
+  --project=<path>        Limit ls, export and stats to a project (full path or folder name)
+  --limit=<n|all>         Sessions listed by ls (default 20)
+  --format=md|json|csv|html   Export format (default md)
+  --output=<file>         Write the export to a file
+  --dir=[label=]<path>    Claude config dir; repeat for several roots`;
+
+class CliError extends Error {}
+
+const useColor = process.stdout.isTTY && !process.env.NO_COLOR;
+const paint = (code) => (text) => useColor ? `\x1b[${code}m${text}\x1b[0m` : String(text);
+const bold = paint(1);
+const dim = paint(2);
+const statusColors = { in_progress: paint(33), pending: paint(2), completed: paint(32) };
+
+// Arguments after the command that are neither flags nor the value of a `--flag value` pair
+function positionals(args) {
+  const result = [];
+  for (let i = 0; i < args.length; i++) {
+    if (VALUE_FLAGS.includes(args[i])) i++;
+    else if (!args[i].startsWith('--')) result.push(args[i]);
+  }
+  return result;
+}
+
+function printJson(value) {
+  process.stdout.write(JSON.stringify(value, null, 2) + '\n');
+}
+
+function formatAge(dateStr) {
+  if (!dateStr) return '';
+  const diff = Date.now() - new Date(dateStr).getTime();
+  if (diff < 60000) return 'just now';
+  if (diff < 3600000) return `${Math.floor(diff / 60000)}m ago`;
+  if (diff < 86400000) return `${Math.floor(diff / 3600000)}h ago`;
+  return new Date(dateStr).toLocaleDateString();
+}
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '—';
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return `${Math.round(ms / 1000)}s`;
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function truncate(text, width) {
+  const value = String(text ?? '');
+  return value.length > width ? value.slice(0, width - 1) + '…' : value;
+}
+
+// Left-aligned columns sized to their widest cell
+function printTable(headers, rows) {
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => String(row[i]).length)));
+  const line = (cells) => cells.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+  console.log(dim(line(headers)));
+  for (const row of rows) console.log(line(row));
+}
+
+function projectMatches(project, filter) {
+  if (!filter) return true;
+  return !!project && (project === filter || project.split(/[/\\]/).pop() === filter);
+}
+
+// Full id, unique id prefix, or a session name (custom title, slug or display name)
+function resolveSession(query, metadata) {
+  if (!query) throw new CliError('Missing <session> argument');
+  const ids = [...new Set([...kanban.listSessionIds(), ...Object.keys(metadata)])];
+  if (ids.includes(query)) return query;
+
+  let matches = ids.filter(id => id.startsWith(query));
+  if (matches.length === 0) {
+    const name = query.toLowerCase();
+    matches = ids.filter(id => {
+      const meta = metadata[id] || {};
+      const names = [meta.customTitle, meta.slug, kanban.getSessionDisplayName(id, meta)];
+      return names.some(value => value && value.toLowerCase() === name);
+    });
+  }
+  if (matches.length === 1) return matches[0];
+  if (matches.length === 0) throw new CliError(`No session matches "${query}"`);
+  throw new CliError(`"${query}" matches ${matches.length} sessions: ${matches.map(id => id.slice(0, 8)).join(', ')}`);
+}
+
+function commandLs(args) {
+  const metadata = kanban.loadSessionMetadata();
+  const limitValue = kanban.getArgValue('--limit') || '20';
+  const limit = limitValue === 'all' ? null : parseInt(limitValue, 10);
+  const project = kanban.getArgValue('--project');
+
+  let { sessions } = kanban.buildSessionList(metadata);
+  sessions = sessions.filter(s => projectMatches(s.project, project));
+  if (limit > 0) sessions = sessions.slice(0, limit);
+
+  if (args.json) return printJson(sessions);
+  if (sessions.length === 0) return console.log('No sessions found');
+
+  const showSource = kanban.CLAUDE_ROOTS.length > 1;
+  const headers = ['ID', 'NAME', 'PROJECT', 'DONE', 'ACTIVE', 'PENDING', 'MODIFIED', ...(showSource ? ['SOURCE'] : [])];
+  printTable(headers, sessions.map(s => [
+    s.id.slice(0, 8),
+    truncate(s.name || '', 36),
+    truncate(s.project ? s.project.split(/[/\\]/).pop() : '', 24),
+    `${s.completed}/${s.taskCount}`,
+    s.inProgress || '',
+    s.pending || '',
+    formatAge(s.modifiedAt),
+    ...(showSource ? [s.source || ''] : [])
+  ]));
+}
+
+function renderSessionView(data) {
+  const { session, tasks } = data;
+  const lines = [];
+  const details = [session.project, session.gitBranch && `branch ${session.gitBranch}`].filter(Boolean).join(' · ');
+  lines.push(`${bold(session.name || session.id)} ${dim(session.id)}`);
+  if (details) lines.push(dim(details));
+  lines.push(`${session.completed}/${session.taskCount} completed`);
+
+  for (const [status, label] of STATUS_GROUPS) {
+    const group = tasks.filter(t => t.status === status);
+    lines.push('', statusColors[status](`${label.toUpperCase()} (${group.length})`));
+    for (const task of group) {
+      const tags = [
+        task.owner && `@${task.owner}`,
+        task.blockedBy.length > 0 && status !== 'completed' && `blocked by ${task.blockedBy.map(id => '#' + id).join(', ')}`,
+        task.subagentType && task.subagentType !== 'main agent' && task.subagentType
+      ].filter(Boolean);
+      lines.push(`  ${dim('#' + task.id.padEnd(3))} ${task.subject}${tags.length > 0 ? '  ' + dim(tags.join(' · ')) : ''}`);
+      if (status === 'in_progress' && task.activeForm) lines.push(`       ${dim(task.activeForm)}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+function loadSessionView(sessionId) {
+  const data = kanban.buildSessionExport(sessionId, kanban.loadSessionMetadata());
+  if (!data) throw new CliError(`Session ${sessionId} not found`);
+  return data;
+}
+
+function commandShow(args) {
+  const sessionId = resolveSession(args.positionals[0], kanban.loadSessionMetadata());
+  const { session, tasks } = loadSessionView(sessionId);
+  if (args.json) return printJson({ session, tasks });
+  console.log(renderSessionView({ session, tasks }));
+}
+
+// Redraws on every change to the session's task files; with --json prints one line per change instead
+function commandWatch(args) {
+  const sessionId = resolveSession(args.positionals[0], kanban.loadSessionMetadata());
+  const tasksDir = kanban.getSessionTasksDir(sessionId);
+
+  const renderView = () => {
+    const view = renderSessionView(loadSessionView(sessionId));
+    process.stdout.write(`\x1b[2J\x1b[H${view}\n\n${dim(`Watching ${tasksDir} — Ctrl+C to stop`)}\n`);
+  };
+  if (!args.json) renderView();
+
+  // Later redraws run outside run()'s try, e.g. when the session is archived while it is watched
+  const redraw = () => {
+    try {
+      renderView();
+    } catch (error) {
+      reportError('watch', error);
+      watcher.close();
+    }
+  };
+
+  let timer = null;
+  const watcher = chokidar.watch(tasksDir, { ignoreInitial: true, depth: 0 }).on('all', (event, filePath) => {
+    if (!filePath.endsWith('.json')) return;
+    if (args.json) {
+      const taskId = require('path').basename(filePath, '.json');
+      const task = event === 'unlink' ? null : (kanban.readSessionTasks(sessionId) || []).find(t => String(t.id) === taskId) || null;
+      process.stdout.write(JSON.stringify({ ts: new Date().toISOString(), event, sessionId, taskId, task }) + '\n');
+      return;
+    }
+    clearTimeout(timer);
+    timer = setTimeout(redraw, WATCH_DEBOUNCE);
+  });
+}
+
+function commandExport(args) {
+  const format = args.json ? 'json' : (kanban.getArgValue('--format') || 'md');
+  if (!kanban.EXPORT_FORMATS[format]) {
+    throw new CliError(`Unknown format. Use one of: ${Object.keys(kanban.EXPORT_FORMATS).join(', ')}`);
+  }
+  const metadata = kanban.loadSessionMetadata();
+  const project = kanban.getArgValue('--project');
+
+  let body;
+  if (project && args.positionals.length === 0) {
+    const fullPath = Object.values(metadata).map(m => m.project).find(p => projectMatches(p, project));
+    if (!fullPath) throw new CliError(`No project matches "${project}"`);
+    const exports = kanban.buildProjectExports(fullPath, metadata);
+    body = kanban.renderExport(format, exports, { title: `Project: ${fullPath.split(/[/\\]/).pop()}`, bulk: true });
+  } else {
+    const sessionId = resolveSession(args.positionals[0], metadata);
+    const data = loadSessionView(sessionId);
+    body = kanban.renderExport(format, [data], { title: `Session: ${data.session.name || sessionId}`, bulk: false });
+  }
+
+  const output = kanban.getArgValue('--output');
+  if (output) {
+    writeFileSync(output, body);
+    console.error(`Wrote ${output}`);
+  } else {
+    process.stdout.write(body.endsWith('\n') ? body : body + '\n');
+  }
+}
+
+function commandStats(args) {
+  const metadata = kanban.loadSessionMetadata();
+  const sessionId = args.positionals[0] ? resolveSession(args.positionals[0], metadata) : undefined;
+  const projectFilter = kanban.getArgValue('--project');
+  const project = projectFilter ? Object.values(metadata).map(m => m.project).find(p => projectMatches(p, projectFilter)) : undefined;
+  if (projectFilter && !project) throw new CliError(`No project matches "${projectFilter}"`);
+
+  const analytics = kanban.computeAnalytics({ sessionId, project });
+  if (args.json) return printJson(analytics);
+
+  const { summary, breakdowns } = analytics;
+  const scope = sessionId ? `Session ${sessionId.slice(0, 8)}` : (project ? `Project ${project}` : 'All sessions');
+  console.log(bold(scope));
+  printTable(['', ''], [
+    ['Sessions', summary.sessions],
+    ['Tasks', `${summary.tasks} (${summary.completed} completed, ${summary.inProgress} in progress)`],
+    ['Avg time in progress', formatDuration(summary.avgTimeInProgressMs)],
+    ['Avg lead time', formatDuration(summary.avgLeadTimeMs)],
+    ['Throughput', summary.avgThroughputPerHour !== null ? `${summary.avgThroughputPerHour} tasks/h` : '—']
+  ]);
+
+  for (const [key, label] of [['owner', 'OWNER'], ['subagentType', 'SUBAGENT'], ['model', 'MODEL']]) {
+    if (breakdowns[key].length === 0) continue;
+    console.log('');
+    printTable([label, 'TASKS', 'DONE', 'AVG IN PROGRESS', 'AVG LEAD TIME'], breakdowns[key].map(b => [
+      truncate(b.key, 32), b.tasks, b.completed, formatDuration(b.avgTimeInProgressMs), formatDuration(b.avgLeadTimeMs)
+    ]));
+  }
+}
+
+const COMMANDS = {
+  ls: commandLs,
+  show: commandShow,
+  watch: commandWatch,
+  export: commandExport,
+  stats: commandStats,
+  help: () => console.log(USAGE)
+};
+
+const COMMAND_ALIASES = { '--help': 'help', '-h': 'help' };
+
+function reportError(command, error) {
+  if (!(error instanceof CliError)) throw error;
+  console.error(`claude-code-kanban ${command}: ${error.message}`);
+  process.exitCode = 1;
+}
+
+function run(command, rawArgs) {
+  const args = { json: rawArgs.includes('--json'), positionals: positionals(rawArgs) };
+  try {
+    COMMANDS[command](args);
+  } catch (error) {
+    reportError(command, error);
+  }
+}
+
+module.exports = { COMMANDS, run };
+
+if (require.main === module) {
+  const command = COMMAND_ALIASES[process.argv[2]] || process.argv[2];
+  if (COMMANDS[command]) {
+    kanban.loadTranscriptIndex({ readOnly: true });
+    run(command, process.argv.slice(3));
+  } else {
+    kanban.startServer();
+  }
+}
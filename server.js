@@ -1,40 +1,165 @@
-#!/usr/bin/env node
-
 const express = require('express');
 const path = require('path');
 const fs = require('fs').promises;
-const { existsSync, readdirSync, readFileSync, statSync, createReadStream } = require('fs');
+const { existsSync, readdirSync, readFileSync, statSync, createReadStream, openSync, readSync, closeSync, writeFileSync, renameSync, mkdirSync, rmSync, copyFileSync, unlinkSync, linkSync } = require('fs');
 const readline = require('readline');
 const chokidar = require('chokidar');
 const os = require('os');
+const crypto = require('crypto');
 
 const app = express();
 const PORT = process.env.PORT || 3456;
 
-// Parse --dir flag for custom Claude directory
-function getClaudeDir() {
-  const dirIndex = process.argv.findIndex(arg => arg.startsWith('--dir'));
-  if (dirIndex !== -1) {
-    const arg = process.argv[dirIndex];
-    if (arg.includes('=')) {
-      const dir = arg.split('=')[1];
-      return dir.startsWith('~') ? dir.replace('~', os.homedir()) : dir;
-    } else if (process.argv[dirIndex + 1]) {
-      const dir = process.argv[dirIndex + 1];
-      return dir.startsWith('~') ? dir.replace('~', os.homedir()) : dir;
+// Read every `--name=value` or `--name value` occurrence of a command line flag
+function getArgValues(name) {
+  const values = [];
+  process.argv.forEach((arg, index) => {
+    if (arg.startsWith(`${name}=`)) {
+      values.push(arg.slice(name.length + 1));
+    } else if (arg === name) {
+      const next = process.argv[index + 1];
+      if (next && !next.startsWith('--')) values.push(next);
+    }
+  });
+  return values;
+}
+
+function getArgValue(name) {
+  return getArgValues(name)[0] || null;
+}
+
+// Viewer-owned state lives outside the Claude dir so we never write into files Claude manages
+const DATA_DIR = process.env.KANBAN_DATA_DIR || path.join(os.homedir(), '.claude-code-kanban');
+const HISTORY_DIR = path.join(DATA_DIR, 'history');
+const ROOTS_PATH = path.join(DATA_DIR, 'roots.json');
+
+/**
+ * Claude config roots. Repeat --dir (as `--dir=path` or `--dir=label=path`) or list them in
+ * DATA_DIR/roots.json as ["~/.claude", { "dir": "/mnt/devbox/.claude", "label": "devbox" }];
+ * otherwise CLAUDE_DIR or ~/.claude. The label is reported as each session's source. Session ids
+ * are UUIDs, so sessions from different roots don't collide; if one did, the first root wins.
+ */
+function expandHome(dir) {
+  return dir.startsWith('~') ? dir.replace('~', os.homedir()) : dir;
+}
+
+function getClaudeRoots() {
+  const specs = getArgValues('--dir').map(value => {
+    const match = value.match(/^([\w.-]+)=(.+)$/);
+    return match ? { label: match[1], dir: match[2] } : { dir: value };
+  });
+  if (specs.length === 0 && existsSync(ROOTS_PATH)) {
+    try {
+      for (const entry of JSON.parse(readFileSync(ROOTS_PATH, 'utf8'))) {
+        specs.push(typeof entry === 'string' ? { dir: entry } : entry);
+      }
+    } catch (e) {
+      console.error(`Error reading ${ROOTS_PATH}:`, e.message);
+    }
+  }
+  if (specs.length === 0) specs.push({ dir: process.env.CLAUDE_DIR || path.join(os.homedir(), '.claude') });
+
+  const roots = [];
+  for (const spec of specs) {
+    const dir = path.resolve(expandHome(spec.dir));
+    if (roots.some(r => r.dir === dir)) continue;
+    roots.push({
+      dir,
+      label: spec.label || null,
+      tasksDir: path.join(dir, 'tasks'),
+      projectsDir: path.join(dir, 'projects'),
+      teamsDir: path.join(dir, 'teams'),
+      plansDir: path.join(dir, 'plans')
+    });
+  }
+  // Unlabelled roots are named after their directory, plus its parent when that alone is ambiguous
+  for (const root of roots) {
+    if (root.label) continue;
+    const base = path.basename(root.dir);
+    const ambiguous = roots.filter(r => path.basename(r.dir) === base).length > 1;
+    root.label = ambiguous ? `${path.basename(path.dirname(root.dir))}/${base}` : base;
+  }
+  return roots;
+}
+
+/**
+ * Access control. The server binds to localhost unless --host says otherwise. --token enables a
+ * bearer token (or ?token= once in the browser, which moves it into a cookie); --auth=user:password
+ * enables basic auth. --read-only rejects every mutating request. Writes from the browser must echo
+ * the per-process CSRF token served by /api/config.
+ */
+const HOST = getArgValue('--host') || process.env.KANBAN_HOST || '127.0.0.1';
+const AUTH_TOKEN = getArgValue('--token') || process.env.KANBAN_TOKEN || null;
+const BASIC_AUTH = getArgValue('--auth') || process.env.KANBAN_AUTH || null;
+const READ_ONLY = process.argv.includes('--read-only') || process.env.KANBAN_READ_ONLY === '1';
+const CSRF_TOKEN = crypto.randomBytes(24).toString('hex');
+const AUTH_COOKIE = 'kanban_token';
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', 'localhost', '::1']);
+
+const CLAUDE_ROOTS = getClaudeRoots();
+const sessionRootCache = new Map(); // sessionId -> root holding its tasks dir
+
+function rootByLabel(label) {
+  return CLAUDE_ROOTS.find(r => r.label === label) || null;
+}
+
+// The root whose `key` dir (tasksDir, teamsDir, ...) contains filePath
+function rootContaining(filePath, key) {
+  return CLAUDE_ROOTS.find(r => filePath.startsWith(r[key] + path.sep)) || null;
+}
+
+// Session ids with a tasks dir in any root, first root first
+function listSessionIds() {
+  const ids = [];
+  for (const root of CLAUDE_ROOTS) {
+    if (!existsSync(root.tasksDir)) continue;
+    for (const dir of readdirSync(root.tasksDir, { withFileTypes: true })) {
+      if (!dir.isDirectory() || ids.includes(dir.name)) continue;
+      sessionRootCache.set(dir.name, root);
+      ids.push(dir.name);
+    }
+  }
+  return ids;
+}
+
+function findSessionRoot(sessionId) {
+  const cached = sessionRootCache.get(sessionId);
+  if (cached && existsSync(path.join(cached.tasksDir, sessionId))) return cached;
+  for (const root of CLAUDE_ROOTS) {
+    if (existsSync(path.join(root.tasksDir, sessionId))) {
+      sessionRootCache.set(sessionId, root);
+      return root;
     }
   }
-  return process.env.CLAUDE_DIR || path.join(os.homedir(), '.claude');
+  return null;
 }
 
-const CLAUDE_DIR = getClaudeDir();
-const TASKS_DIR = path.join(CLAUDE_DIR, 'tasks');
-const PROJECTS_DIR = path.join(CLAUDE_DIR, 'projects');
-const TEAMS_DIR = path.join(CLAUDE_DIR, 'teams');
-const PLANS_DIR = path.join(CLAUDE_DIR, 'plans');
+// Tasks dir for a session; one that has none yet belongs with its transcript (or the first root)
+function getSessionTasksDir(sessionId) {
+  const root = findSessionRoot(sessionId) || rootByLabel(sessionMetadataCache[sessionId]?.source) || CLAUDE_ROOTS[0];
+  return path.join(root.tasksDir, sessionId);
+}
+
+function findTeamConfigPath(teamName) {
+  for (const root of CLAUDE_ROOTS) {
+    const configPath = path.join(root.teamsDir, teamName, 'config.json');
+    if (existsSync(configPath)) return configPath;
+  }
+  return null;
+}
+
+function findPlanPath(slug) {
+  if (!slug) return null;
+  for (const root of CLAUDE_ROOTS) {
+    const planPath = path.join(root.plansDir, `${slug}.md`);
+    if (existsSync(planPath)) return planPath;
+  }
+  return null;
+}
 
 function isTeamSession(sessionId) {
-  return existsSync(path.join(TEAMS_DIR, sessionId, 'config.json'));
+  return !!findTeamConfigPath(sessionId);
 }
 
 const teamConfigCache = new Map();
@@ -43,100 +168,514 @@ const TEAM_CACHE_TTL = 5000;
 const subagentMapCache = new Map();
 
 /**
- * Parse orchestrator JSONL to build a map of taskId -> {subagentType, model}.
- * Correlates TaskCreate/Task tool calls and reads subagent JSONL files for model info.
+ * Token usage helpers. Usage objects use camelCase keys; JSONL message.usage uses the API's snake_case.
+ * Prices are USD per million tokens, matched against the model name by the longest key it contains.
+ * Override or extend them in DATA_DIR/prices.json.
  */
-const EMPTY_SUBAGENT_RESULT = { subjectAgentMap: {}, orchestratorModel: null };
+const DEFAULT_PRICES = {
+  'opus-4-6': { input: 5, output: 25 },
+  'opus-4-5': { input: 5, output: 25 },
+  'opus': { input: 15, output: 75 },
+  'sonnet': { input: 3, output: 15 },
+  'haiku-4-5': { input: 1, output: 5 },
+  'haiku': { input: 0.8, output: 4 }
+};
+const PRICES_PATH = path.join(DATA_DIR, 'prices.json');
+let priceTableCache = { mtime: null, table: DEFAULT_PRICES };
+
+function emptyUsage() {
+  return { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheCreationTokens: 0 };
+}
 
-function loadSessionSubagentMap(jsonlPath) {
-  if (!jsonlPath || !existsSync(jsonlPath)) return EMPTY_SUBAGENT_RESULT;
+function addUsage(target, usage) {
+  target.inputTokens += usage.inputTokens || 0;
+  target.outputTokens += usage.outputTokens || 0;
+  target.cacheReadTokens += usage.cacheReadTokens || 0;
+  target.cacheCreationTokens += usage.cacheCreationTokens || 0;
+  return target;
+}
+
+function usageFromMessage(messageUsage) {
+  return {
+    inputTokens: messageUsage.input_tokens || 0,
+    outputTokens: messageUsage.output_tokens || 0,
+    cacheReadTokens: messageUsage.cache_read_input_tokens || 0,
+    cacheCreationTokens: messageUsage.cache_creation_input_tokens || 0
+  };
+}
 
+function loadPriceTable() {
   try {
-    const mtime = statSync(jsonlPath).mtime.getTime();
-    const cached = subagentMapCache.get(jsonlPath);
-    if (cached && cached.mtime === mtime) return cached.data;
-  } catch (e) { return { subjectAgentMap: {}, orchestratorModel: null }; }
+    if (!existsSync(PRICES_PATH)) return DEFAULT_PRICES;
+    const mtime = statSync(PRICES_PATH).mtime.getTime();
+    if (priceTableCache.mtime !== mtime) {
+      priceTableCache = { mtime, table: { ...DEFAULT_PRICES, ...JSON.parse(readFileSync(PRICES_PATH, 'utf8')) } };
+    }
+  } catch (e) {
+    console.error('Error loading price table:', e);
+  }
+  return priceTableCache.table;
+}
+
+/**
+ * Estimated USD cost of a usage object for a model, or null if no price matches.
+ * Cache writes default to 1.25x and cache reads to 0.1x the input price.
+ */
+function estimateCost(usage, model) {
+  if (!model) return null;
+  const table = loadPriceTable();
+  const key = Object.keys(table)
+    .filter(k => model.includes(k))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!key) return null;
+  const price = table[key];
+  const cacheWrite = price.cacheWrite ?? price.input * 1.25;
+  const cacheRead = price.cacheRead ?? price.input * 0.1;
+  return (usage.inputTokens * price.input +
+    usage.outputTokens * price.output +
+    usage.cacheCreationTokens * cacheWrite +
+    usage.cacheReadTokens * cacheRead) / 1e6;
+}
+
+function costByModel(usageByModel) {
+  let total = null;
+  for (const [model, usage] of Object.entries(usageByModel)) {
+    const cost = estimateCost(usage, model);
+    if (cost !== null) total = (total || 0) + cost;
+  }
+  return total;
+}
+
+/**
+ * Incremental transcript index, shared by session metadata and subagent attribution.
+ * Each JSONL is parsed once from the start and afterwards only from the last parsed byte offset,
+ * so an agent appending to a large transcript costs only the new lines. Offsets and derived state
+ * are persisted to DATA_DIR/transcript-index/, one file per transcript, so a restart doesn't rescan
+ * ~/.claude/projects and a save only rewrites the transcripts that changed. File changes and task
+ * calls, the lists that grow with a session, keep only their latest entries.
+ */
+const TRANSCRIPT_INDEX_DIR = path.join(DATA_DIR, 'transcript-index');
+const LEGACY_TRANSCRIPT_INDEX_PATH = path.join(DATA_DIR, 'transcript-index.json');
+const TRANSCRIPT_INDEX_VERSION = 7;
+const TRANSCRIPT_READ_CHUNK = 1024 * 1024;
+const TRANSCRIPT_INDEX_SAVE_DELAY = 2000;
+const RECENT_MESSAGE_IDS = 64; // streamed chunks of one message sit close together
+const TRANSCRIPT_MAX_FILE_CHANGES = 2000;
+const TRANSCRIPT_MAX_TASK_CALLS = 2000;
+const TRANSCRIPT_PAGE_STRIDE = 100; // the byte offset of every 100th viewer entry is kept, so a page is read from close to its start
+const transcriptIndex = new Map(); // filePath -> { ino, size, mtimeMs, offset, state }
+const unsavedTranscripts = new Set(); // filePaths whose saved index file is stale, or should be removed
+let transcriptIndexSaveTimer = null;
+let transcriptIndexReadOnly = false; // CLI runs reuse the saved index but leave writing it to the server
+
+const FILE_CHANGE_TOOLS = new Set(['Edit', 'MultiEdit', 'Write', 'NotebookEdit']);
+const BASH_COMMAND_MAX = 300; // characters kept per Bash command
+
+const TASK_REF_PATTERNS = [/\btask\s*#?\s*(\d+)\b/gi, /\btaskId["']?\s*[:=]\s*["']?(\d+)/gi];
+
+// Task IDs explicitly named in a Task tool prompt ("work on task #3")
+function extractTaskRefs(text) {
+  const ids = new Set();
+  for (const pattern of TASK_REF_PATTERNS) {
+    for (const m of text.matchAll(pattern)) ids.add(m[1]);
+  }
+  return ids;
+}
+
+// The TaskCreate/TaskUpdate fields the board shows; descriptions are left out to keep the index small
+const TASK_CALL_FIELDS = ['subject', 'status', 'owner', 'activeForm', 'addBlockedBy', 'addBlocks'];
+
+function pickTaskCallInput(input) {
+  const picked = {};
+  for (const field of TASK_CALL_FIELDS) {
+    if (input[field] !== undefined) picked[field] = input[field];
+  }
+  return picked;
+}
 
+// What the in-progress cards show of an agent's latest tool call and message
+const ACTIVITY_DETAIL_MAX = 120;
+const ACTIVITY_TEXT_MAX = 160;
+const ACTIVITY_INPUT_FIELDS = ['file_path', 'notebook_path', 'command', 'pattern', 'url', 'query', 'description', 'subject', 'path'];
+
+function clipActivityText(text, max) {
+  const line = text.trim().replace(/\s+/g, ' ');
+  return line.length > max ? `${line.slice(0, max - 1)}…` : line;
+}
+
+// The one input that says what a call is about: the file edited, the command run, the pattern searched
+function toolActivityDetail(name, input) {
+  if (name.startsWith('Task') && input.taskId !== undefined) {
+    return `#${input.taskId}${input.status ? ` → ${input.status}` : ''}`;
+  }
+  const field = ACTIVITY_INPUT_FIELDS.find(f => typeof input[f] === 'string' && input[f].trim());
+  return field ? clipActivityText(input[field].split('\n')[0], ACTIVITY_DETAIL_MAX) : null;
+}
+
+// TaskUpdate calls that move a task into or out of work identify who was doing it
+function isWorkUpdate(input) {
+  return input?.taskId !== undefined && (input.status === 'in_progress' || input.status === 'completed');
+}
+
+function newTranscriptState() {
+  return {
+    customTitle: null,
+    slug: null,
+    projectPath: null,
+    firstModel: null, // first model in the file (a subagent's model)
+    mainModel: null, // first non-sidechain model (the orchestrator's model)
+    taskCreateSubjects: [], // subjects from TaskCreate calls, in order
+    taskToolCalls: [], // {toolUseId, subagentType, description, taskRefs}
+    toolResults: {}, // toolUseId -> agentId
+    workUpdates: [], // {taskId, status, timestamp}
+    fileChanges: [], // {toolUseId, timestamp, tool, filePath} or {..., tool: 'Bash', command}; failed calls are dropped
+    taskCalls: [], // TaskCreate/TaskUpdate calls: {toolUseId, timestamp, kind: 'create'|'update', taskId, input, entryIndex}
+    entryCount: 0, // entries the transcript viewer shows (see isTranscriptEntry)
+    entryOffsets: [], // byte offset of entry 0, TRANSCRIPT_PAGE_STRIDE, 2 * TRANSCRIPT_PAGE_STRIDE, ...
+    usageByModel: {}, // model -> usage, every message
+    mainUsage: emptyUsage(), // non-sidechain messages only
+    recentMessageIds: [], // usage is deduplicated by message id, since streamed messages repeat it
+    ending: null, // {kind: 'error'|'interrupted', timestamp} if the main conversation stopped on one
+    activity: null // {timestamp, tool, detail, toolUseId, running, text}: the latest call and message, latest entry time
+  };
+}
+
+// An API error or a user interrupt in the main conversation, or null for an ordinary entry
+function transcriptEnding(d) {
+  if (d.isApiErrorMessage || (d.type === 'system' && d.level === 'error')) return 'error';
+  if (d.type === 'user') {
+    const content = d.message?.content;
+    const text = typeof content === 'string'
+      ? content
+      : (Array.isArray(content) ? content.map(c => c?.text || '').join('') : '');
+    if (text.startsWith('[Request interrupted')) return 'interrupted';
+  }
+  return null;
+}
+
+// A user or assistant message with something for the transcript viewer to show
+function isTranscriptEntry(d) {
+  if ((d.type !== 'user' && d.type !== 'assistant') || !d.message) return false;
+  const content = typeof d.message.content === 'string'
+    ? [{ type: 'text', text: d.message.content }]
+    : (Array.isArray(d.message.content) ? d.message.content : []);
+  return content.some(c => c && typeof c === 'object' && (
+    (c.type === 'text' && c.text) || (c.type === 'thinking' && c.thinking) || c.type === 'tool_use' || c.type === 'tool_result'
+  ));
+}
+
+// Appends to a list that keeps only its latest `max` items
+function pushCapped(list, item, max) {
+  list.push(item);
+  if (list.length > max) list.splice(0, list.length - max);
+}
+
+function applyTranscriptLine(state, line, lineOffset) {
+  let d;
+  try { d = JSON.parse(line); } catch (e) { return; /* skip malformed lines */ }
+  if (!d || typeof d !== 'object') return;
+
+  const entryIndex = isTranscriptEntry(d) ? state.entryCount++ : null;
+  if (entryIndex !== null && entryIndex % TRANSCRIPT_PAGE_STRIDE === 0) state.entryOffsets.push(lineOffset);
+
+  // Session info: custom-title comes from /rename, the latest one wins
+  if (d.type === 'custom-title' && d.customTitle) state.customTitle = d.customTitle;
+  if (d.slug && !state.slug) state.slug = d.slug;
+  if (d.cwd && !state.projectPath) state.projectPath = d.cwd;
+
+  if (!d.isSidechain) {
+    const ending = transcriptEnding(d);
+    if (ending) state.ending = { kind: ending, timestamp: d.timestamp || null };
+    else if (d.type === 'user' || d.type === 'assistant') state.ending = null;
+  }
+
+  const model = d.message?.model;
+  if (model && !state.firstModel) state.firstModel = model;
+  if (model && !d.isSidechain && !state.mainModel) state.mainModel = model;
+
+  if (d.message?.usage && model) {
+    const messageId = d.message.id;
+    if (!messageId || !state.recentMessageIds.includes(messageId)) {
+      if (messageId) {
+        state.recentMessageIds.push(messageId);
+        if (state.recentMessageIds.length > RECENT_MESSAGE_IDS) state.recentMessageIds.shift();
+      }
+      const usage = usageFromMessage(d.message.usage);
+      if (!d.isSidechain) addUsage(state.mainUsage, usage);
+      addUsage(state.usageByModel[model] = state.usageByModel[model] || emptyUsage(), usage);
+    }
+  }
+
+  const msgContent = Array.isArray(d.message?.content) ? d.message.content : [];
+  if (d.type === 'user' || d.type === 'assistant') {
+    const activity = state.activity || (state.activity = { timestamp: null, tool: null, detail: null, toolUseId: null, running: false, text: null });
+    if (d.timestamp) activity.timestamp = d.timestamp;
+    for (const c of msgContent) {
+      if (c?.type === 'tool_use' && c.name) {
+        Object.assign(activity, { tool: c.name, detail: toolActivityDetail(c.name, c.input || {}), toolUseId: c.id, running: true });
+      } else if (c?.type === 'tool_result' && c.tool_use_id === activity.toolUseId) {
+        activity.running = false;
+      } else if (c?.type === 'text' && d.type === 'assistant' && c.text?.trim()) {
+        activity.text = clipActivityText(c.text, ACTIVITY_TEXT_MAX);
+      }
+    }
+  }
+
+  for (const c of msgContent) {
+    if (!c || typeof c !== 'object') continue;
+
+    if (c.type === 'tool_use') {
+      if (c.name === 'TaskCreate' && c.input?.subject) {
+        state.taskCreateSubjects.push(c.input.subject);
+        // The id is only known from the tool result ("Task #3 created successfully")
+        pushCapped(state.taskCalls, { toolUseId: c.id, timestamp: d.timestamp || '', kind: 'create', taskId: null, input: pickTaskCallInput(c.input), entryIndex }, TRANSCRIPT_MAX_TASK_CALLS);
+      }
+      if (c.name === 'TaskUpdate' && c.input?.taskId !== undefined) {
+        pushCapped(state.taskCalls, { toolUseId: c.id, timestamp: d.timestamp || '', kind: 'update', taskId: String(c.input.taskId), input: pickTaskCallInput(c.input), entryIndex }, TRANSCRIPT_MAX_TASK_CALLS);
+      }
+      if (c.name === 'Task' && c.input?.subagent_type) {
+        const description = c.input.description || '';
+        state.taskToolCalls.push({
+          toolUseId: c.id,
+          subagentType: c.input.subagent_type,
+          description,
+          taskRefs: [...extractTaskRefs(`${description}\n${c.input.prompt || ''}`)]
+        });
+      }
+      if (c.name === 'TaskUpdate' && isWorkUpdate(c.input)) {
+        state.workUpdates.push({ taskId: String(c.input.taskId), status: c.input.status, timestamp: d.timestamp || '' });
+      }
+      const filePath = c.input?.file_path || c.input?.notebook_path;
+      if (FILE_CHANGE_TOOLS.has(c.name) && filePath) {
+        pushCapped(state.fileChanges, { toolUseId: c.id, timestamp: d.timestamp || '', tool: c.name, filePath }, TRANSCRIPT_MAX_FILE_CHANGES);
+      }
+      if (c.name === 'Bash' && c.input?.command) {
+        pushCapped(state.fileChanges, { toolUseId: c.id, timestamp: d.timestamp || '', tool: 'Bash', command: String(c.input.command).slice(0, BASH_COMMAND_MAX) }, TRANSCRIPT_MAX_FILE_CHANGES);
+      }
+    }
+
+    if (c.type === 'tool_result' && c.tool_use_id) {
+      const text = Array.isArray(c.content)
+        ? c.content.map(x => x.text || '').join('')
+        : String(c.content || '');
+      const m = text.match(/agentId:\s*(\S+)/);
+      if (m) state.toolResults[c.tool_use_id] = m[1];
+      if (c.is_error) {
+        const failed = state.fileChanges.findLastIndex(f => f.toolUseId === c.tool_use_id);
+        if (failed !== -1) state.fileChanges.splice(failed, 1);
+      }
+      const call = state.taskCalls.findLast(t => t.toolUseId === c.tool_use_id);
+      if (call && c.is_error) state.taskCalls.splice(state.taskCalls.indexOf(call), 1);
+      else if (call && call.kind === 'create') call.taskId = text.match(/Task #(\d+) created/)?.[1] || null;
+    }
+  }
+}
+
+/**
+ * Feed every complete line from byte `offset` onwards to onLine(line, lineOffset).
+ * Returns the offset just past the last complete line; a partially written line is left for next time.
+ */
+function readAppendedLines(filePath, offset, onLine) {
+  const fd = openSync(filePath, 'r');
+  const buffer = Buffer.alloc(TRANSCRIPT_READ_CHUNK);
+  let position = offset;
+  let consumed = offset;
+  let carry = null;
   try {
-    const content = readFileSync(jsonlPath, 'utf8');
-    const lines = content.split('\n').filter(Boolean);
+    let bytesRead;
+    while ((bytesRead = readSync(fd, buffer, 0, buffer.length, position)) > 0) {
+      position += bytesRead;
+      const chunk = carry ? Buffer.concat([carry, buffer.subarray(0, bytesRead)]) : buffer.subarray(0, bytesRead);
+      const lastNewline = chunk.lastIndexOf(0x0a);
+      if (lastNewline === -1) {
+        carry = Buffer.from(chunk);
+        continue;
+      }
+      for (let start = 0; start <= lastNewline;) {
+        const end = chunk.indexOf(0x0a, start);
+        const line = chunk.toString('utf8', start, end);
+        if (line.trim()) onLine(line, consumed + start);
+        start = end + 1;
+      }
+      consumed += lastNewline + 1;
+      carry = lastNewline + 1 < chunk.length ? Buffer.from(chunk.subarray(lastNewline + 1)) : null;
+    }
+  } finally {
+    closeSync(fd);
+  }
+  return consumed;
+}
 
-    const taskCreateSubjects = []; // subjects from TaskCreate calls, in order
-    const taskToolCalls = []; // {toolUseId, subagentType, description}
-    const toolResults = {}; // toolUseId -> agentId
-    let orchestratorModel = null; // model used by the orchestrator session itself
+/**
+ * Bring a transcript's index entry up to date and return it, or null if the file is gone.
+ * A file that shrank or was replaced (new inode) is reparsed from the start.
+ */
+function indexTranscript(filePath) {
+  let stat;
+  try {
+    stat = statSync(filePath);
+  } catch (e) {
+    if (transcriptIndex.delete(filePath)) scheduleTranscriptIndexSave(filePath);
+    return null;
+  }
 
-    for (const line of lines) {
-      try {
-        const d = JSON.parse(line);
-        const msgContent = Array.isArray(d.message?.content) ? d.message.content : [];
+  let entry = transcriptIndex.get(filePath);
+  if (!entry || stat.size < entry.offset || (entry.ino && stat.ino && entry.ino !== stat.ino)) {
+    entry = { ino: stat.ino, size: 0, mtimeMs: 0, offset: 0, state: newTranscriptState() };
+    transcriptIndex.set(filePath, entry);
+  }
+  if (entry.size === stat.size && entry.mtimeMs === stat.mtimeMs) return entry;
 
-        // Capture orchestrator model from the first assistant message
-        if (!orchestratorModel && d.message?.model && !d.isSidechain) {
-          orchestratorModel = d.message.model;
-        }
+  try {
+    entry.offset = readAppendedLines(filePath, entry.offset, (line, lineOffset) => applyTranscriptLine(entry.state, line, lineOffset));
+    entry.size = stat.size;
+    entry.mtimeMs = stat.mtimeMs;
+    scheduleTranscriptIndexSave(filePath);
+  } catch (e) {
+    console.error(`Error indexing transcript ${filePath}:`, e);
+  }
+  return entry;
+}
 
-        for (const c of msgContent) {
-          if (!c || typeof c !== 'object') continue;
+function transcriptIndexFile(filePath) {
+  return path.join(TRANSCRIPT_INDEX_DIR, `${crypto.createHash('sha1').update(filePath).digest('hex')}.json`);
+}
 
-          if (c.type === 'tool_use') {
-            if (c.name === 'TaskCreate' && c.input?.subject) {
-              taskCreateSubjects.push(c.input.subject);
-            }
-            if (c.name === 'Task' && c.input?.subagent_type) {
-              taskToolCalls.push({
-                toolUseId: c.id,
-                subagentType: c.input.subagent_type,
-                description: c.input.description || ''
-              });
-            }
-          }
+// Saved entries in an older format or for transcripts that no longer exist are dropped
+function loadTranscriptIndex({ readOnly = false } = {}) {
+  transcriptIndexReadOnly = readOnly;
+  try {
+    if (!readOnly) rmSync(LEGACY_TRANSCRIPT_INDEX_PATH, { force: true });
+    if (!existsSync(TRANSCRIPT_INDEX_DIR)) return;
+    for (const file of readdirSync(TRANSCRIPT_INDEX_DIR).filter(f => f.endsWith('.json'))) {
+      const savePath = path.join(TRANSCRIPT_INDEX_DIR, file);
+      try {
+        const { version, filePath, ...entry } = JSON.parse(readFileSync(savePath, 'utf8'));
+        if (version === TRANSCRIPT_INDEX_VERSION && existsSync(filePath)) {
+          transcriptIndex.set(filePath, entry);
+          continue;
+        }
+      } catch (e) { /* unreadable, dropped like an outdated one */ }
+      if (!readOnly) rmSync(savePath, { force: true });
+    }
+  } catch (e) {
+    console.error('Error loading transcript index:', e);
+  }
+}
 
-          if (c.type === 'tool_result' && c.tool_use_id) {
-            const text = Array.isArray(c.content)
-              ? c.content.map(x => x.text || '').join('')
-              : String(c.content || '');
-            const m = text.match(/agentId:\s*(\S+)/);
-            if (m) toolResults[c.tool_use_id] = m[1];
-          }
+// Debounced so a burst of appends results in one write per changed transcript; write-then-rename keeps each file whole
+function scheduleTranscriptIndexSave(filePath) {
+  if (transcriptIndexReadOnly) return;
+  unsavedTranscripts.add(filePath);
+  if (transcriptIndexSaveTimer) return;
+  transcriptIndexSaveTimer = setTimeout(async () => {
+    transcriptIndexSaveTimer = null;
+    const filePaths = [...unsavedTranscripts];
+    unsavedTranscripts.clear();
+    for (const filePath of filePaths) {
+      const savePath = transcriptIndexFile(filePath);
+      const entry = transcriptIndex.get(filePath);
+      try {
+        if (!entry) {
+          await fs.rm(savePath, { force: true });
+          continue;
         }
-      } catch (e) { /* skip malformed lines */ }
+        await fs.mkdir(TRANSCRIPT_INDEX_DIR, { recursive: true });
+        await fs.writeFile(`${savePath}.tmp`, JSON.stringify({ version: TRANSCRIPT_INDEX_VERSION, filePath, ...entry }));
+        await fs.rename(`${savePath}.tmp`, savePath);
+      } catch (e) {
+        console.error(`Error saving transcript index for ${filePath}:`, e);
+      }
     }
+  }, TRANSCRIPT_INDEX_SAVE_DELAY);
+  transcriptIndexSaveTimer.unref();
+}
+
+/**
+ * Attribute tasks to subagents from the indexed orchestrator and subagent transcripts.
+ * Exact attribution follows the tool-call chain (taskAgentMap): TaskUpdate calls that start or
+ * finish a task, found in the orchestrator or a subagent JSONL, and Task prompts naming one task ID.
+ * The older subject word-overlap match (subjectAgentMap) is kept as a heuristic fallback.
+ * Also sums message usage per session and per subagent.
+ */
+const EMPTY_SUBAGENT_RESULT = { subjectAgentMap: {}, taskAgentMap: {}, agentsById: {}, orchestratorModel: null, usage: null };
+
+function getSubagentsDir(jsonlPath) {
+  return path.join(path.dirname(jsonlPath), path.basename(jsonlPath, '.jsonl'), 'subagents');
+}
+
+function listSubagentTranscripts(jsonlPath) {
+  const subagentsDir = getSubagentsDir(jsonlPath);
+  if (!existsSync(subagentsDir)) return [];
+  return readdirSync(subagentsDir)
+    .filter(f => f.endsWith('.jsonl'))
+    .map(f => ({ agentId: f.replace('agent-', '').replace('.jsonl', ''), filePath: path.join(subagentsDir, f) }));
+}
+
+function loadSessionSubagentMap(jsonlPath) {
+  if (!jsonlPath) return EMPTY_SUBAGENT_RESULT;
+
+  let main, subagents;
+  try {
+    main = indexTranscript(jsonlPath);
+    if (!main) return EMPTY_SUBAGENT_RESULT;
+    subagents = listSubagentTranscripts(jsonlPath)
+      .map(s => ({ ...s, entry: indexTranscript(s.filePath) }))
+      .filter(s => s.entry);
+  } catch (e) { return EMPTY_SUBAGENT_RESULT; }
+
+  const cacheKey = [main.offset, ...subagents.map(s => `${s.agentId}:${s.entry.offset}`)].join('|');
+  const cached = subagentMapCache.get(jsonlPath);
+  if (cached && cached.key === cacheKey) return cached.data;
+
+  try {
+    const state = main.state;
+    const usageByModel = {}; // model -> usage, across orchestrator and subagents
+    for (const [model, u] of Object.entries(state.usageByModel)) usageByModel[model] = addUsage(emptyUsage(), u);
+    const workUpdates = state.workUpdates.map(u => ({ ...u, agentId: null })); // agentId null = orchestrator
 
-    // Build agentId -> {subagentType, description}
+    // Build agentId -> {subagentType, description, taskRefs}
     const agentInfo = {};
-    for (const tc of taskToolCalls) {
-      const agentId = toolResults[tc.toolUseId];
+    for (const tc of state.taskToolCalls) {
+      const agentId = state.toolResults[tc.toolUseId];
       if (agentId) {
-        agentInfo[agentId] = { subagentType: tc.subagentType, description: tc.description };
+        agentInfo[agentId] = { subagentType: tc.subagentType, description: tc.description, taskRefs: tc.taskRefs };
       }
     }
 
-    // Read model from subagent JSONL (second line = first assistant message)
-    const subagentsDir = path.join(
-      path.dirname(jsonlPath),
-      path.basename(jsonlPath, '.jsonl'),
-      'subagents'
-    );
-    if (existsSync(subagentsDir)) {
-      for (const sf of readdirSync(subagentsDir).filter(f => f.endsWith('.jsonl'))) {
-        const agentId = sf.replace('agent-', '').replace('.jsonl', '');
-        if (!agentInfo[agentId]) continue;
-        try {
-          const fd = require('fs').openSync(path.join(subagentsDir, sf), 'r');
-          const buf = Buffer.alloc(16384);
-          const bytesRead = require('fs').readSync(fd, buf, 0, 16384, 0);
-          require('fs').closeSync(fd);
-          for (const fl of buf.toString('utf8', 0, bytesRead).split('\n')) {
-            try {
-              const entry = JSON.parse(fl);
-              const model = entry.message?.model;
-              if (model) { agentInfo[agentId].model = model; break; }
-            } catch (e) { /* skip */ }
-          }
-        } catch (e) { /* skip unreadable files */ }
+    // Model, usage and TaskUpdate calls from each subagent JSONL
+    const agents = [];
+    for (const { agentId, entry } of subagents) {
+      const info = agentInfo[agentId] || { subagentType: null, description: '', taskRefs: [] };
+      info.model = entry.state.firstModel;
+      for (const u of entry.state.workUpdates) workUpdates.push({ ...u, agentId });
+      const agentUsage = emptyUsage();
+      for (const [model, u] of Object.entries(entry.state.usageByModel)) {
+        addUsage(agentUsage, u);
+        addUsage(usageByModel[model] = usageByModel[model] || emptyUsage(), u);
       }
+      info.usage = agentUsage;
+      info.cost = costByModel(entry.state.usageByModel);
+      agentInfo[agentId] = info;
+      agents.push({ agentId, subagentType: info.subagentType, model: info.model || null, usage: agentUsage, cost: info.cost });
+    }
+
+    // Exact attribution, strongest signal first: a subagent's own TaskUpdate (latest wins),
+    // then a Task prompt naming exactly one task, then the orchestrator's own TaskUpdate
+    const taskAgentMap = {}; // taskId -> {agentId (null = orchestrator), source}
+    workUpdates.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    for (const u of workUpdates) {
+      if (u.agentId) taskAgentMap[u.taskId] = { agentId: u.agentId, source: 'task-update' };
     }
+    for (const [agentId, info] of Object.entries(agentInfo)) {
+      if (!info.taskRefs || info.taskRefs.length !== 1) continue;
+      const [taskId] = info.taskRefs;
+      if (!taskAgentMap[taskId]) taskAgentMap[taskId] = { agentId, source: 'task-prompt' };
+    }
+    for (const u of workUpdates) {
+      if (!u.agentId && !taskAgentMap[u.taskId]) taskAgentMap[u.taskId] = { agentId: null, source: 'task-update' };
+    }
+    const exactAgentIds = new Set(Object.values(taskAgentMap).map(a => a.agentId).filter(Boolean));
 
     // Build subject->agent map by matching Task description words against TaskCreate subjects
     // Returns {normalizedSubject -> {subagentType, model}} for use in task enrichment
@@ -146,12 +685,13 @@ function loadSessionSubagentMap(jsonlPath) {
 
     const subjectAgentMap = {};
     for (const [agentId, info] of Object.entries(agentInfo)) {
-      const descWords = wordSet(info.description);
+      if (exactAgentIds.has(agentId)) continue;
+      const descWords = wordSet(info.description || '');
       if (descWords.size === 0) continue;
 
       let bestSubject = null;
       let bestScore = 0;
-      for (const subject of taskCreateSubjects) {
+      for (const subject of state.taskCreateSubjects) {
         const subjectWords = wordSet(subject);
         let matches = 0;
         for (const w of descWords) { if (subjectWords.has(w)) matches++; }
@@ -161,23 +701,33 @@ function loadSessionSubagentMap(jsonlPath) {
 
       if (bestSubject) {
         subjectAgentMap[bestSubject] = {
+          agentId,
+          score: bestScore,
           subagentType: info.subagentType,
-          model: info.model || null
+          model: info.model || null,
+          usage: info.usage || null,
+          cost: info.cost ?? null
         };
       }
     }
 
-    const result = { subjectAgentMap, orchestratorModel };
+    const total = Object.values(usageByModel).reduce((sum, u) => addUsage(sum, u), emptyUsage());
+    const usage = {
+      total,
+      cost: costByModel(usageByModel),
+      byModel: usageByModel,
+      orchestrator: addUsage(emptyUsage(), state.mainUsage),
+      agents
+    };
 
-    try {
-      const mtime = statSync(jsonlPath).mtime.getTime();
-      subagentMapCache.set(jsonlPath, { data: result, mtime });
-    } catch (e) { /* skip caching if stat fails */ }
+    const agentsById = Object.fromEntries(agents.map(a => [a.agentId, a]));
+    const result = { subjectAgentMap, taskAgentMap, agentsById, orchestratorModel: state.mainModel, usage };
+    subagentMapCache.set(jsonlPath, { data: result, key: cacheKey });
 
     return result;
   } catch (e) {
     console.error('Error loading subagent map:', e);
-    return { subjectAgentMap: {}, orchestratorModel: null };
+    return EMPTY_SUBAGENT_RESULT;
   }
 }
 
@@ -185,8 +735,8 @@ function loadTeamConfig(teamName) {
   const cached = teamConfigCache.get(teamName);
   if (cached && Date.now() - cached.ts < TEAM_CACHE_TTL) return cached.data;
   try {
-    const configPath = path.join(TEAMS_DIR, teamName, 'config.json');
-    if (!existsSync(configPath)) return null;
+    const configPath = findTeamConfigPath(teamName);
+    if (!configPath) return null;
     const data = JSON.parse(readFileSync(configPath, 'utf8'));
     teamConfigCache.set(teamName, { data, ts: Date.now() });
     return data;
@@ -203,85 +753,148 @@ let sessionMetadataCache = {};
 let lastMetadataRefresh = 0;
 const METADATA_CACHE_TTL = 10000; // 10 seconds
 
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+// How the request authenticated: 'none' when auth is off, 'bearer', 'cookie' or 'basic'; null if it didn't
+function authenticate(req) {
+  if (!AUTH_TOKEN && !BASIC_AUTH) return 'none';
+  const header = req.headers.authorization || '';
+  if (AUTH_TOKEN && header.startsWith('Bearer ') && safeEqual(header.slice(7), AUTH_TOKEN)) return 'bearer';
+  if (AUTH_TOKEN && safeEqual(readCookie(req, AUTH_COOKIE), AUTH_TOKEN)) return 'cookie';
+  if (BASIC_AUTH && header.startsWith('Basic ') && safeEqual(Buffer.from(header.slice(6), 'base64').toString(), BASIC_AUTH)) return 'basic';
+  return null;
+}
+
+const LOGIN_PAGE = `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Claude Task Viewer</title>
+<style>body{font-family:system-ui,sans-serif;display:flex;justify-content:center;align-items:center;height:100vh;margin:0;background:#0f0f10;color:#e5e5e5}
+form{display:flex;gap:8px}input,button{font:inherit;padding:8px 12px;border-radius:6px;border:1px solid #333;background:#1a1a1c;color:inherit}</style>
+</head><body><form method="get"><input type="password" name="token" placeholder="Access token" autofocus><button type="submit">Sign in</button></form></body></html>`;
+
+app.use((req, res, next) => {
+  // ?token= signs a browser in once: the token moves into a cookie and out of the address bar
+  if (AUTH_TOKEN && typeof req.query.token === 'string' && safeEqual(req.query.token, AUTH_TOKEN)) {
+    res.setHeader('Set-Cookie', `${AUTH_COOKIE}=${encodeURIComponent(AUTH_TOKEN)}; Path=/; HttpOnly; SameSite=Lax${req.secure ? '; Secure' : ''}`);
+    if (req.method === 'GET' && !req.path.startsWith('/api/')) {
+      const params = new URLSearchParams(req.query);
+      params.delete('token');
+      const query = params.toString();
+      return res.redirect(query ? `${req.path}?${query}` : req.path);
+    }
+    req.authMethod = 'cookie';
+    return next();
+  }
+
+  req.authMethod = authenticate(req);
+  if (req.authMethod) return next();
+
+  if (BASIC_AUTH) res.setHeader('WWW-Authenticate', 'Basic realm="claude-code-kanban", charset="UTF-8"');
+  if (req.path.startsWith('/api/')) return res.status(401).json({ error: 'Authentication required' });
+  res.status(401).send(AUTH_TOKEN ? LOGIN_PAGE : 'Authentication required');
+});
+
+app.use('/api', (req, res, next) => {
+  if (SAFE_METHODS.has(req.method)) return next();
+  if (READ_ONLY) return res.status(403).json({ error: 'The viewer is running in read-only mode' });
+  // Browsers attach cookies and basic-auth credentials on their own; a bearer header can't be forged cross-site
+  if (req.authMethod !== 'bearer' && !safeEqual(req.get('X-CSRF-Token'), CSRF_TOKEN)) {
+    return res.status(403).json({ error: 'Missing or invalid CSRF token' });
+  }
+  next();
+});
+
 // Parse JSON bodies
 app.use(express.json());
 
+// Ids from the URL are joined into paths under the data and config dirs; anything but word
+// characters and dashes (a decoded "../", a slash) is rejected before a route touches the disk
+const SAFE_ID_PATTERN = /^[\w-]+$/;
+
+app.param('sessionId', (req, res, next, sessionId) => {
+  if (!SAFE_ID_PATTERN.test(sessionId)) return res.status(400).json({ error: 'Invalid session id' });
+  next();
+});
+
+app.param('taskId', (req, res, next, taskId) => {
+  if (!SAFE_ID_PATTERN.test(taskId)) return res.status(400).json({ error: 'Invalid task id' });
+  next();
+});
+
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
 
 /**
- * Read customTitle and slug from a JSONL file
- * Returns { customTitle, slug } - customTitle from /rename, slug from session
+ * Read customTitle, slug and project path for a session from the first 64KB of its JSONL, or from
+ * the transcript index when it has already parsed further; listing sessions never parses whole files
+ * Returns { customTitle, slug, projectPath } - customTitle from /rename, slug from session
  */
+const SESSION_INFO_HEAD_BYTES = 64 * 1024;
+
 function readSessionInfoFromJsonl(jsonlPath) {
-  const result = { customTitle: null, slug: null, projectPath: null };
+  // Once the index has parsed the file its state is complete (a later /rename included)
+  const indexed = transcriptIndex.get(jsonlPath);
+  if (indexed?.offset > SESSION_INFO_HEAD_BYTES) {
+    const { customTitle, slug, projectPath } = indexed.state;
+    return { customTitle, slug, projectPath };
+  }
 
+  const result = { customTitle: null, slug: null, projectPath: null };
   try {
     if (!existsSync(jsonlPath)) return result;
 
-    // Read first 64KB - should contain custom-title and at least one message with slug/cwd
-    const fd = require('fs').openSync(jsonlPath, 'r');
-    const buffer = Buffer.alloc(65536);
-    const bytesRead = require('fs').readSync(fd, buffer, 0, 65536, 0);
-    require('fs').closeSync(fd);
-
-    const content = buffer.toString('utf8', 0, bytesRead);
-    const lines = content.split('\n');
+    // Read the head only - it should contain custom-title and at least one message with slug/cwd
+    const fd = openSync(jsonlPath, 'r');
+    const buffer = Buffer.alloc(SESSION_INFO_HEAD_BYTES);
+    let bytesRead;
+    try {
+      bytesRead = readSync(fd, buffer, 0, SESSION_INFO_HEAD_BYTES, 0);
+    } finally {
+      closeSync(fd);
+    }
 
-    for (const line of lines) {
+    for (const line of buffer.toString('utf8', 0, bytesRead).split('\n')) {
       if (!line.trim()) continue;
       try {
         const data = JSON.parse(line);
-
-        // Check for custom-title entry (from /rename command)
-        if (data.type === 'custom-title' && data.customTitle) {
-          result.customTitle = data.customTitle;
-        }
-
-        // Check for slug in user/assistant messages
-        if (data.slug && !result.slug) {
-          result.slug = data.slug;
-        }
-
-        // Extract project path from cwd field (actual path, no encoding issues)
-        if (data.cwd && !result.projectPath) {
-          result.projectPath = data.cwd;
-        }
-
-        // Stop early if we found all three
+        if (data.type === 'custom-title' && data.customTitle) result.customTitle = data.customTitle;
+        if (data.slug && !result.slug) result.slug = data.slug;
+        if (data.cwd && !result.projectPath) result.projectPath = data.cwd;
         if (result.customTitle && result.slug && result.projectPath) break;
       } catch (e) {
-        // Skip malformed lines
+        // Skip malformed lines (and the one cut off at the end of the head)
       }
     }
   } catch (e) {
     // Return partial results
   }
-
   return result;
 }
 
 /**
- * Scan all project directories to find session JSONL files and extract slugs
+ * Add the sessions found in one root's projects dir to metadata (sessions already present win)
  */
-function loadSessionMetadata() {
-  const now = Date.now();
-  if (now - lastMetadataRefresh < METADATA_CACHE_TTL) {
-    return sessionMetadataCache;
-  }
-
-  const metadata = {};
-
+function loadRootMetadata(root, metadata) {
   try {
-    if (!existsSync(PROJECTS_DIR)) {
-      return metadata;
-    }
+    if (!existsSync(root.projectsDir)) return;
 
-    const projectDirs = readdirSync(PROJECTS_DIR, { withFileTypes: true })
+    const projectDirs = readdirSync(root.projectsDir, { withFileTypes: true })
       .filter(d => d.isDirectory());
 
     for (const projectDir of projectDirs) {
-      const projectPath = path.join(PROJECTS_DIR, projectDir.name);
+      const projectPath = path.join(root.projectsDir, projectDir.name);
 
       // Find all .jsonl files (session logs)
       const files = readdirSync(projectPath).filter(f => f.endsWith('.jsonl'));
@@ -291,6 +904,7 @@ function loadSessionMetadata() {
       let resolvedProjectPath = null;
       for (const file of files) {
         const sessionId = file.replace('.jsonl', '');
+        if (metadata[sessionId]) continue;
         const jsonlPath = path.join(projectPath, file);
         const sessionInfo = readSessionInfoFromJsonl(jsonlPath);
 
@@ -302,7 +916,8 @@ function loadSessionMetadata() {
           customTitle: sessionInfo.customTitle,
           slug: sessionInfo.slug,
           project: sessionInfo.projectPath || null,
-          jsonlPath: jsonlPath
+          jsonlPath: jsonlPath,
+          source: root.label
         };
         sessionIds.push(sessionId);
       }
@@ -324,13 +939,16 @@ function loadSessionMetadata() {
           const entries = indexData.entries || [];
 
           for (const entry of entries) {
+            // A session already found under an earlier root keeps that root's details
+            if (metadata[entry.sessionId] && metadata[entry.sessionId].source !== root.label) continue;
             if (entry.sessionId) {
               if (!metadata[entry.sessionId]) {
                 metadata[entry.sessionId] = {
                   customTitle: null,
                   slug: null,
                   project: entry.projectPath || null,
-                  jsonlPath: null
+                  jsonlPath: null,
+                  source: root.label
                 };
               }
               metadata[entry.sessionId].description = entry.description || null;
@@ -344,37 +962,51 @@ function loadSessionMetadata() {
       }
     }
   } catch (e) {
-    console.error('Error loading session metadata:', e);
+    console.error(`Error loading session metadata from ${root.dir}:`, e);
+  }
+}
+
+/**
+ * Scan the project directories of every root to find session JSONL files and extract slugs
+ */
+function loadSessionMetadata() {
+  const now = Date.now();
+  if (now - lastMetadataRefresh < METADATA_CACHE_TTL) {
+    return sessionMetadataCache;
+  }
+
+  const metadata = {};
+
+  for (const root of CLAUDE_ROOTS) {
+    loadRootMetadata(root, metadata);
   }
 
   // For team sessions with no JSONL match, resolve from team config + parent session
-  if (existsSync(TASKS_DIR)) {
-    const taskDirs = readdirSync(TASKS_DIR, { withFileTypes: true })
-      .filter(d => d.isDirectory());
-    for (const dir of taskDirs) {
-      if (!metadata[dir.name]) {
-        const teamConfig = loadTeamConfig(dir.name);
-        if (teamConfig) {
-          const parentMeta = teamConfig.leadSessionId ? metadata[teamConfig.leadSessionId] : null;
-          const leadMember = teamConfig.members?.find(m => m.agentId === teamConfig.leadAgentId) || teamConfig.members?.[0];
-          const project = parentMeta?.project || leadMember?.cwd || teamConfig.working_dir || null;
-
-          metadata[dir.name] = {
-            customTitle: parentMeta?.customTitle || null,
-            slug: parentMeta?.slug || null,
-            project,
-            jsonlPath: parentMeta?.jsonlPath || null,
-            description: parentMeta?.description || teamConfig.description || null,
-            gitBranch: parentMeta?.gitBranch || null,
-            created: parentMeta?.created || null
-          };
-        }
+  for (const sessionId of listSessionIds()) {
+    if (!metadata[sessionId]) {
+      const teamConfig = loadTeamConfig(sessionId);
+      if (teamConfig) {
+        const parentMeta = teamConfig.leadSessionId ? metadata[teamConfig.leadSessionId] : null;
+        const leadMember = teamConfig.members?.find(m => m.agentId === teamConfig.leadAgentId) || teamConfig.members?.[0];
+        const project = parentMeta?.project || leadMember?.cwd || teamConfig.working_dir || null;
+
+        metadata[sessionId] = {
+          customTitle: parentMeta?.customTitle || null,
+          slug: parentMeta?.slug || null,
+          project,
+          jsonlPath: parentMeta?.jsonlPath || null,
+          description: parentMeta?.description || teamConfig.description || null,
+          gitBranch: parentMeta?.gitBranch || null,
+          created: parentMeta?.created || null,
+          source: findSessionRoot(sessionId).label
+        };
       }
     }
   }
 
   sessionMetadataCache = metadata;
   lastMetadataRefresh = now;
+  observeHistogram(metrics.metadataRefresh, (Date.now() - now) / 1000);
   return metadata;
 }
 
@@ -382,9 +1014,8 @@ function loadSessionMetadata() {
  * Get display name for a session: customTitle > slug > null (frontend shows UUID)
  */
 function getPlanInfo(slug) {
-  if (!slug) return { hasPlan: false, planTitle: null };
-  const planPath = path.join(PLANS_DIR, `${slug}.md`);
-  if (!existsSync(planPath)) return { hasPlan: false, planTitle: null };
+  const planPath = findPlanPath(slug);
+  if (!planPath) return { hasPlan: false, planTitle: null };
   try {
     const head = readFileSync(planPath, 'utf8').slice(0, 512);
     const match = head.match(/^#\s+(.+)$/m);
@@ -394,127 +1025,313 @@ function getPlanInfo(slug) {
   }
 }
 
+function readPlanSnapshot(slug) {
+  const planPath = findPlanPath(slug);
+  if (!planPath) return null;
+  try {
+    return { slug, title: getPlanInfo(slug).planTitle, content: readFileSync(planPath, 'utf8') };
+  } catch (e) {
+    return null;
+  }
+}
+
 function getSessionDisplayName(sessionId, meta) {
   if (meta?.customTitle) return meta.customTitle;
   if (meta?.slug) return meta.slug;
   return null; // Frontend will show UUID as fallback
 }
 
-// API: List all sessions
-app.get('/api/sessions', async (req, res) => {
-  // Prevent browser caching
-  res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, private');
-  res.setHeader('Pragma', 'no-cache');
-  res.setHeader('Expires', '0');
+/**
+ * Task history: the watcher appends one entry per observed change to
+ * HISTORY_DIR/<sessionId>.jsonl so transitions survive restarts.
+ * Entry: { ts, taskId, type: 'created'|'observed'|'updated'|'deleted', changes?, snapshot? }
+ */
+const HISTORY_FIELDS = ['subject', 'status', 'owner', 'activeForm', 'blockedBy', 'blocks'];
+const taskHistoryCache = new Map(); // sessionId -> { events, snapshots: Map<taskId, snapshot>, writeQueue }
+
+function snapshotTask(task) {
+  const snapshot = {};
+  for (const field of HISTORY_FIELDS) {
+    const value = task[field];
+    if (Array.isArray(value)) snapshot[field] = value.map(String);
+    else snapshot[field] = value ?? null;
+  }
+  return snapshot;
+}
 
-  try {
-    // Parse limit parameter (default: 20, "all" for unlimited)
-    const limitParam = req.query.limit || '20';
-    const limit = limitParam === 'all' ? null : parseInt(limitParam, 10);
+function diffSnapshots(prev, next) {
+  const changes = {};
+  for (const field of HISTORY_FIELDS) {
+    const from = prev[field] ?? null;
+    const to = next[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+}
 
-    const metadata = loadSessionMetadata();
-    const sessionsMap = new Map();
-
-    // First, add sessions that have tasks directories
-    if (existsSync(TASKS_DIR)) {
-      const entries = readdirSync(TASKS_DIR, { withFileTypes: true });
-
-      for (const entry of entries) {
-        if (entry.isDirectory()) {
-          const sessionPath = path.join(TASKS_DIR, entry.name);
-          const stat = statSync(sessionPath);
-          const taskFiles = readdirSync(sessionPath).filter(f => f.endsWith('.json'));
-
-          // Get task summary and find newest task file
-          let completed = 0;
-          let inProgress = 0;
-          let pending = 0;
-          let newestTaskMtime = null;
-
-          for (const file of taskFiles) {
-            try {
-              const taskPath = path.join(sessionPath, file);
-              const task = JSON.parse(readFileSync(taskPath, 'utf8'));
-              if (task.status === 'completed') completed++;
-              else if (task.status === 'in_progress') inProgress++;
-              else pending++;
-
-              // Track newest task file mtime
-              const taskStat = statSync(taskPath);
-              if (!newestTaskMtime || taskStat.mtime > newestTaskMtime) {
-                newestTaskMtime = taskStat.mtime;
-              }
-            } catch (e) {
-              // Skip invalid files
-            }
-          }
+// Only sessions with a history file (or, with `create`, one about to be written) are cached,
+// so looking up arbitrary session ids doesn't grow the cache
+function loadTaskHistory(sessionId, { create = false } = {}) {
+  const cached = taskHistoryCache.get(sessionId);
+  if (cached) return cached;
 
-          // Get metadata for this session
-          const meta = metadata[entry.name] || {};
-
-          // Use newest task file mtime, or fall back to directory mtime if no tasks
-          const modifiedAt = newestTaskMtime ? newestTaskMtime.toISOString() : stat.mtime.toISOString();
-
-          const isTeam = isTeamSession(entry.name);
-          const memberCount = isTeam ? (loadTeamConfig(entry.name)?.members?.length || 0) : 0;
-          const planInfo = getPlanInfo(meta.slug);
-
-          sessionsMap.set(entry.name, {
-            id: entry.name,
-            name: getSessionDisplayName(entry.name, meta),
-            slug: meta.slug || null,
-            project: meta.project || null,
-            description: meta.description || null,
-            gitBranch: meta.gitBranch || null,
-            taskCount: taskFiles.length,
-            completed,
-            inProgress,
-            pending,
-            createdAt: meta.created || null,
-            modifiedAt: modifiedAt,
-            isTeam,
-            memberCount,
-            ...planInfo
-          });
-        }
+  const history = { events: [], snapshots: new Map(), writeQueue: Promise.resolve() };
+  const historyPath = path.join(HISTORY_DIR, `${sessionId}.jsonl`);
+  const exists = existsSync(historyPath);
+  if (exists) {
+    try {
+      for (const line of readFileSync(historyPath, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const entry = JSON.parse(line);
+          history.events.push(entry);
+          if (entry.type === 'deleted') history.snapshots.delete(entry.taskId);
+          else if (entry.snapshot) history.snapshots.set(entry.taskId, entry.snapshot);
+        } catch (e) { /* skip malformed lines */ }
       }
+    } catch (e) {
+      console.error(`Error reading history for ${sessionId}:`, e);
     }
+  }
 
-    // Add sessions from metadata that don't have task directories
-    for (const [sessionId, meta] of Object.entries(metadata)) {
-      if (!sessionsMap.has(sessionId)) {
-        let modifiedAt = meta.created || null;
-        if (!modifiedAt && meta.jsonlPath) {
-          try { modifiedAt = statSync(meta.jsonlPath).mtime.toISOString(); } catch (e) {}
-        }
-        const planInfo = getPlanInfo(meta.slug);
-        sessionsMap.set(sessionId, {
-          id: sessionId,
-          name: getSessionDisplayName(sessionId, meta),
-          slug: meta.slug || null,
-          project: meta.project || null,
-          description: meta.description || null,
-          gitBranch: meta.gitBranch || null,
-          taskCount: 0,
-          completed: 0,
-          inProgress: 0,
-          pending: 0,
-          createdAt: meta.created || null,
-          modifiedAt: modifiedAt || new Date(0).toISOString(),
-          isTeam: false,
-          memberCount: 0,
-          ...planInfo
+  if (exists || create) taskHistoryCache.set(sessionId, history);
+  return history;
+}
+
+/**
+ * Compare a task file against its last known snapshot and append a history entry.
+ * Pass task = null for a deleted file. Returns the entry, or null if nothing changed.
+ */
+function recordTaskEvent(sessionId, taskId, task, isNewFile) {
+  const history = loadTaskHistory(sessionId, { create: true });
+  let prev = history.snapshots.get(taskId) || null;
+  const ts = new Date().toISOString();
+  const entries = [];
+
+  // Task predates any recorded history — persist the state captured at startup as its baseline
+  const baseline = taskBaselines.get(`${sessionId}/${taskId}`);
+  if (!prev && baseline && !isNewFile) {
+    entries.push({ ts: baseline.ts, taskId, type: 'observed', snapshot: baseline.snapshot });
+    prev = baseline.snapshot;
+  }
+  taskBaselines.delete(`${sessionId}/${taskId}`);
+
+  if (!task) {
+    if (!prev) return null;
+    history.snapshots.delete(taskId);
+    entries.push({ ts, taskId, type: 'deleted' });
+  } else {
+    const snapshot = snapshotTask(task);
+    if (!prev) {
+      entries.push({ ts, taskId, type: isNewFile ? 'created' : 'observed', snapshot });
+    } else {
+      const changes = diffSnapshots(prev, snapshot);
+      if (changes) entries.push({ ts, taskId, type: 'updated', changes, snapshot });
+    }
+    history.snapshots.set(taskId, snapshot);
+  }
+
+  if (entries.length === 0) return null;
+  history.events.push(...entries);
+  // Chain writes per session so entries land in the file in the order they were observed
+  const lines = entries.map(e => JSON.stringify(e) + '\n').join('');
+  history.writeQueue = history.writeQueue
+    .then(() => fs.mkdir(HISTORY_DIR, { recursive: true }))
+    .then(() => fs.appendFile(path.join(HISTORY_DIR, `${sessionId}.jsonl`), lines))
+    .catch(e => console.error(`Error writing history for ${sessionId}:`, e));
+  return entries[entries.length - 1];
+}
+
+/**
+ * Derive timing facts for one task from its history entries (assumed in observed order).
+ * createdAt is exact only when the viewer saw the file appear; otherwise it is the first observation.
+ */
+function computeTaskTimings(events, now = Date.now()) {
+  const timings = { createdAt: null, startedAt: null, completedAt: null, timeInProgressMs: 0, leadTimeMs: null };
+  let lastStatus = null;
+  let lastTs = null;
+
+  for (const e of events) {
+    if (e.type === 'deleted') break;
+    const ts = Date.parse(e.ts);
+    const status = e.snapshot?.status;
+    if (!timings.createdAt) timings.createdAt = e.ts;
+    if (lastStatus === 'in_progress') timings.timeInProgressMs += ts - lastTs;
+    if (status === 'in_progress' && !timings.startedAt) timings.startedAt = e.ts;
+    if (status === 'completed' && lastStatus !== 'completed') timings.completedAt = e.ts;
+    if (status !== 'completed') timings.completedAt = null;
+    lastStatus = status;
+    lastTs = ts;
+  }
+
+  if (lastStatus === 'in_progress') timings.timeInProgressMs += now - lastTs;
+  if (timings.completedAt && timings.createdAt) {
+    timings.leadTimeMs = Date.parse(timings.completedAt) - Date.parse(timings.createdAt);
+  }
+  return timings;
+}
+
+/**
+ * Capture the current state of every task at startup (in memory only) so the first
+ * change the watcher sees after launch can still be recorded as a diff. Also seeds
+ * the per-session status counters used by task deltas and notifications.
+ */
+const taskBaselines = new Map(); // `${sessionId}/${taskId}` -> { ts, snapshot }
+
+function seedTaskBaselines() {
+  for (const sessionId of listSessionIds()) {
+    const sessionPath = getSessionTasksDir(sessionId);
+    const statuses = new Map();
+    for (const file of readdirSync(sessionPath).filter(f => f.endsWith('.json'))) {
+      try {
+        const taskPath = path.join(sessionPath, file);
+        const task = JSON.parse(readFileSync(taskPath, 'utf8'));
+        taskBaselines.set(`${sessionId}/${path.basename(file, '.json')}`, {
+          ts: statSync(taskPath).mtime.toISOString(),
+          snapshot: snapshotTask(task)
         });
+        statuses.set(path.basename(file, '.json'), task.status);
+      } catch (e) {
+        // Skip invalid files
+      }
+    }
+    sessionTaskStatuses.set(sessionId, statuses);
+  }
+}
+
+/**
+ * Every session with tasks in any root plus those only known from transcripts, newest first,
+ * with task counts. tasksBySession holds the parsed tasks for callers that need more than counts.
+ */
+function buildSessionList(metadata) {
+  const sessionsMap = new Map();
+  const tasksBySession = new Map();
+
+  // First, add sessions that have tasks directories
+  for (const sessionId of listSessionIds()) {
+    const root = findSessionRoot(sessionId);
+    const sessionPath = path.join(root.tasksDir, sessionId);
+    const stat = statSync(sessionPath);
+    const taskFiles = readdirSync(sessionPath).filter(f => f.endsWith('.json'));
+    // Every task moved to the archive — the session is listed there instead
+    if (taskFiles.length === 0 && isArchivedSession(sessionId)) continue;
+    const sessionTasks = [];
+    tasksBySession.set(sessionId, sessionTasks);
+
+    // Get task summary and find newest task file
+    let completed = 0;
+    let inProgress = 0;
+    let pending = 0;
+    let newestTaskMtime = null;
+
+    for (const file of taskFiles) {
+      try {
+        const taskPath = path.join(sessionPath, file);
+        const task = JSON.parse(readFileSync(taskPath, 'utf8'));
+        sessionTasks.push(task);
+        if (task.status === 'completed') completed++;
+        else if (task.status === 'in_progress') inProgress++;
+        else pending++;
+
+        // Track newest task file mtime
+        const taskStat = statSync(taskPath);
+        if (!newestTaskMtime || taskStat.mtime > newestTaskMtime) {
+          newestTaskMtime = taskStat.mtime;
+        }
+      } catch (e) {
+        // Skip invalid files
+      }
+    }
+
+    // Get metadata for this session
+    const meta = metadata[sessionId] || {};
+
+    // Use newest task file mtime, or fall back to directory mtime if no tasks
+    const modifiedAt = newestTaskMtime ? newestTaskMtime.toISOString() : stat.mtime.toISOString();
+
+    const isTeam = isTeamSession(sessionId);
+    const memberCount = isTeam ? (loadTeamConfig(sessionId)?.members?.length || 0) : 0;
+    const planInfo = getPlanInfo(meta.slug);
+
+    sessionsMap.set(sessionId, {
+      id: sessionId,
+      name: getSessionDisplayName(sessionId, meta),
+      slug: meta.slug || null,
+      project: meta.project || null,
+      description: meta.description || null,
+      gitBranch: meta.gitBranch || null,
+      taskCount: taskFiles.length,
+      completed,
+      inProgress,
+      pending,
+      createdAt: meta.created || null,
+      modifiedAt: modifiedAt,
+      isTeam,
+      memberCount,
+      source: root.label,
+      ...planInfo
+    });
+  }
+
+  // Add sessions from metadata that don't have task directories
+  for (const [sessionId, meta] of Object.entries(metadata)) {
+    if (!sessionsMap.has(sessionId) && !isArchivedSession(sessionId)) {
+      let modifiedAt = meta.created || null;
+      if (!modifiedAt && meta.jsonlPath) {
+        try { modifiedAt = statSync(meta.jsonlPath).mtime.toISOString(); } catch (e) {}
       }
+      const planInfo = getPlanInfo(meta.slug);
+      sessionsMap.set(sessionId, {
+        id: sessionId,
+        name: getSessionDisplayName(sessionId, meta),
+        slug: meta.slug || null,
+        project: meta.project || null,
+        description: meta.description || null,
+        gitBranch: meta.gitBranch || null,
+        taskCount: 0,
+        completed: 0,
+        inProgress: 0,
+        pending: 0,
+        createdAt: meta.created || null,
+        modifiedAt: modifiedAt || new Date(0).toISOString(),
+        isTeam: false,
+        memberCount: 0,
+        source: meta.source || null,
+        ...planInfo
+      });
     }
+  }
+
+  // Convert map to array and sort by most recently modified
+  const sessions = Array.from(sessionsMap.values());
+  sessions.sort((a, b) => new Date(b.modifiedAt) - new Date(a.modifiedAt));
+  return { sessions, tasksBySession };
+}
+
+// API: List all sessions
+app.get('/api/sessions', async (req, res) => {
+  // Prevent browser caching
+  res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+  res.setHeader('Pragma', 'no-cache');
+  res.setHeader('Expires', '0');
+
+  try {
+    // Parse limit parameter (default: 20, "all" for unlimited)
+    const limitParam = req.query.limit || '20';
+    const limit = limitParam === 'all' ? null : parseInt(limitParam, 10);
 
-    // Convert map to array and sort by most recently modified
-    let sessions = Array.from(sessionsMap.values());
-    sessions.sort((a, b) => new Date(b.modifiedAt) - new Date(a.modifiedAt));
+    const metadata = loadSessionMetadata();
+    const { sessions: allSessions, tasksBySession } = buildSessionList(metadata);
 
     // Apply limit if specified
-    if (limit !== null && limit > 0) {
-      sessions = sessions.slice(0, limit);
+    const sessions = limit !== null && limit > 0 ? allSessions.slice(0, limit) : allSessions;
+
+    // Token usage and health are only computed for the sessions we actually return
+    for (const session of sessions) {
+      const { usage } = loadSessionSubagentMap(metadata[session.id]?.jsonlPath);
+      session.usage = usage ? usage.total : null;
+      session.cost = usage ? usage.cost : null;
+      session.health = computeSessionHealth(session.id, tasksBySession.get(session.id) || [], metadata[session.id] || {});
     }
 
     res.json(sessions);
@@ -529,83 +1346,150 @@ app.get('/api/projects', (req, res) => {
   res.setHeader('Cache-Control', 'no-store');
   const metadata = loadSessionMetadata();
   const projectMap = {};
+  const projectSources = {};
   for (const meta of Object.values(metadata)) {
     if (!meta.project) continue;
     const mtime = meta.jsonlPath ? (() => { try { return statSync(meta.jsonlPath).mtime; } catch (e) { return null; } })() : null;
     if (!projectMap[meta.project] || (mtime && mtime > projectMap[meta.project])) {
       projectMap[meta.project] = mtime;
     }
+    projectSources[meta.project] = projectSources[meta.project] || new Set();
+    if (meta.source) projectSources[meta.project].add(meta.source);
   }
   const projects = Object.entries(projectMap)
-    .map(([path, mtime]) => ({ path, modifiedAt: mtime ? mtime.toISOString() : null }))
+    .map(([path, mtime]) => ({ path, modifiedAt: mtime ? mtime.toISOString() : null, sources: [...projectSources[path]] }))
     .sort((a, b) => a.path.localeCompare(b.path));
   res.json(projects);
 });
 
-// API: Get tasks for a session
-app.get('/api/sessions/:sessionId', async (req, res) => {
-  try {
-    const sessionPath = path.join(TASKS_DIR, req.params.sessionId);
+/**
+ * Read and parse every task file in a session, sorted by numeric ID. withEtags adds each
+ * task's `etag` for clients that will write it back. Returns null if the session has no tasks directory.
+ */
+function readSessionTasks(sessionId, { withEtags = false } = {}) {
+  const sessionPath = getSessionTasksDir(sessionId);
+  if (!existsSync(sessionPath)) return null;
 
-    if (!existsSync(sessionPath)) {
-      return res.status(404).json({ error: 'Session not found' });
+  const tasks = [];
+  for (const file of readdirSync(sessionPath).filter(f => f.endsWith('.json'))) {
+    try {
+      const content = readFileSync(path.join(sessionPath, file), 'utf8');
+      const task = JSON.parse(content);
+      if (withEtags) task.etag = trackTaskVersion(content);
+      tasks.push(task);
+    } catch (e) {
+      console.error(`Error parsing ${file}:`, e);
     }
+  }
 
-    const taskFiles = readdirSync(sessionPath).filter(f => f.endsWith('.json'));
-    const tasks = [];
+  // Sort by ID (numeric)
+  tasks.sort((a, b) => parseInt(a.id) - parseInt(b.id));
+  return tasks;
+}
 
-    for (const file of taskFiles) {
-      try {
-        const task = JSON.parse(readFileSync(path.join(sessionPath, file), 'utf8'));
-        tasks.push(task);
-      } catch (e) {
-        console.error(`Error parsing ${file}:`, e);
-      }
+/**
+ * Enrich tasks in place with subagentType/model/usage and an attribution record:
+ * { source: 'task-update'|'task-prompt'|'subject-match'|'default', confidence: 'exact'|'heuristic'|'none', agentId }
+ */
+function enrichTasksWithAgents(tasks, jsonlPath) {
+  if (!jsonlPath) {
+    // No JSONL found — label everything as main agent
+    for (const task of tasks) {
+      task.subagentType = 'main agent';
+      task.attribution = { source: 'default', confidence: 'none', agentId: null };
     }
+    return tasks;
+  }
 
-    // Sort by ID (numeric)
-    tasks.sort((a, b) => parseInt(a.id) - parseInt(b.id));
+  const { subjectAgentMap, taskAgentMap, agentsById, orchestratorModel } = loadSessionSubagentMap(jsonlPath);
 
-    // Enrich tasks with subagent info from JSONL (matched by subject word overlap)
-    const metadata = loadSessionMetadata();
-    const jsonlPath = metadata[req.params.sessionId]?.jsonlPath;
-    if (jsonlPath) {
-      const { subjectAgentMap, orchestratorModel } = loadSessionSubagentMap(jsonlPath);
-
-      function wordSetEnrich(str) {
-        return new Set(str.toLowerCase().replace(/[^a-z0-9 ]/g, ' ').split(/\s+/).filter(w => w.length > 2));
-      }
-
-      for (const task of tasks) {
-        // Try to match to a subagent via description word overlap
-        if (Object.keys(subjectAgentMap).length > 0) {
-          const taskWords = wordSetEnrich(task.subject || '');
-          let bestInfo = null, bestScore = 0;
-          for (const [subject, info] of Object.entries(subjectAgentMap)) {
-            const subjectWords = wordSetEnrich(subject);
-            let matches = 0;
-            for (const w of subjectWords) { if (taskWords.has(w)) matches++; }
-            const score = subjectWords.size > 0 ? matches / subjectWords.size : 0;
-            if (score > bestScore && score > 0.5) { bestScore = score; bestInfo = info; }
-          }
-          if (bestInfo) {
-            task.subagentType = bestInfo.subagentType;
-            task.model = bestInfo.model;
-            continue;
-          }
-        }
+  function wordSetEnrich(str) {
+    return new Set(str.toLowerCase().replace(/[^a-z0-9 ]/g, ' ').split(/\s+/).filter(w => w.length > 2));
+  }
 
-        // Fallback: orchestrator is handling this task directly
+  function applyAgent(task, info) {
+    task.subagentType = info.subagentType || 'subagent';
+    task.model = info.model || null;
+    if (info.usage) {
+      task.usage = info.usage;
+      task.cost = info.cost;
+    }
+  }
+
+  for (const task of tasks) {
+    // Exact: the tool-call chain names the agent that worked on this task
+    const exact = taskAgentMap[String(task.id)];
+    if (exact) {
+      task.attribution = { source: exact.source, confidence: 'exact', agentId: exact.agentId };
+      if (exact.agentId && agentsById[exact.agentId]) {
+        applyAgent(task, agentsById[exact.agentId]);
+      } else {
         task.subagentType = 'main agent';
         if (orchestratorModel) task.model = orchestratorModel;
       }
-    } else {
-      // No JSONL found — label everything as main agent
-      for (const task of tasks) {
-        task.subagentType = 'main agent';
+      continue;
+    }
+
+    // Heuristic: match to a subagent via description word overlap
+    if (Object.keys(subjectAgentMap).length > 0) {
+      const taskWords = wordSetEnrich(task.subject || '');
+      let bestInfo = null, bestScore = 0;
+      for (const [subject, info] of Object.entries(subjectAgentMap)) {
+        const subjectWords = wordSetEnrich(subject);
+        let matches = 0;
+        for (const w of subjectWords) { if (taskWords.has(w)) matches++; }
+        const score = subjectWords.size > 0 ? matches / subjectWords.size : 0;
+        if (score > bestScore && score > 0.5) { bestScore = score; bestInfo = info; }
       }
+      if (bestInfo) {
+        applyAgent(task, bestInfo);
+        task.attribution = { source: 'subject-match', confidence: 'heuristic', agentId: bestInfo.agentId };
+        continue;
+      }
+    }
+
+    // Fallback: orchestrator is handling this task directly
+    task.subagentType = 'main agent';
+    if (orchestratorModel) task.model = orchestratorModel;
+    task.attribution = { source: 'default', confidence: 'none', agentId: null };
+  }
+  return tasks;
+}
+
+/**
+ * Set task.activity on in-progress tasks: what the agent working on the task did last, from the tail
+ * of its transcript — { agentId, tool, detail, running, text, timestamp }. Tasks not attributed to a
+ * subagent follow the main conversation. Reads task.attribution, so run enrichTasksWithAgents first.
+ */
+function attachTaskActivity(tasks, jsonlPath) {
+  if (!jsonlPath) return tasks;
+  for (const task of tasks) {
+    if (task.status !== 'in_progress') continue;
+    const agentId = task.attribution?.agentId || null;
+    const filePath = agentId ? path.join(getSubagentsDir(jsonlPath), `agent-${agentId}.jsonl`) : jsonlPath;
+    const activity = indexTranscript(filePath)?.state.activity;
+    if (!activity?.timestamp) continue;
+    const { toolUseId, ...latest } = activity;
+    task.activity = { agentId, ...latest };
+  }
+  return tasks;
+}
+
+// API: Get tasks for a session.
+// Versions are per task: each task carries its own `etag`, which PUT and DELETE check through If-Match.
+// The list itself has no version of its own; Express's default weak ETag hashes the response body,
+// so If-None-Match only answers 304 when nothing in the list changed, including agent activity.
+app.get('/api/sessions/:sessionId', async (req, res) => {
+  try {
+    const tasks = readSessionTasks(req.params.sessionId, { withEtags: true });
+    if (!tasks) {
+      return res.status(404).json({ error: 'Session not found' });
     }
 
+    const metadata = loadSessionMetadata();
+    enrichTasksWithAgents(tasks, metadata[req.params.sessionId]?.jsonlPath);
+    attachTaskActivity(tasks, metadata[req.params.sessionId]?.jsonlPath);
+
     res.json(tasks);
   } catch (error) {
     console.error('Error getting session:', error);
@@ -621,8 +1505,8 @@ app.get('/api/sessions/:sessionId/plan', async (req, res) => {
     const slug = meta?.slug;
     if (!slug) return res.status(404).json({ error: 'No plan found' });
 
-    const planPath = path.join(PLANS_DIR, `${slug}.md`);
-    if (!existsSync(planPath)) return res.status(404).json({ error: 'No plan found' });
+    const planPath = findPlanPath(slug);
+    if (!planPath) return res.status(404).json({ error: 'No plan found' });
 
     const content = await fs.readFile(planPath, 'utf8');
     res.json({ content, slug });
@@ -632,153 +1516,2559 @@ app.get('/api/sessions/:sessionId/plan', async (req, res) => {
   }
 });
 
-// API: Open session plan in VS Code
-app.post('/api/sessions/:sessionId/plan/open', (req, res) => {
-  try {
-    const metadata = loadSessionMetadata();
-    const meta = metadata[req.params.sessionId];
-    const slug = meta?.slug;
-    if (!slug) return res.status(404).json({ error: 'No plan found' });
-
-    const planPath = path.join(PLANS_DIR, `${slug}.md`);
-    if (!existsSync(planPath)) return res.status(404).json({ error: 'No plan found' });
-
-    const editor = process.env.EDITOR || 'code';
-    require('child_process').exec(`${editor} "${planPath}"`);
-    res.json({ success: true });
-  } catch (error) {
-    console.error('Error opening plan in VS Code:', error);
-    res.status(500).json({ error: 'Failed to open plan' });
+/**
+ * Plan revisions: every distinct version of a plan file the viewer sees is appended to
+ * DATA_DIR/plan-revisions/<slug>.jsonl, so changes can be diffed after the file was overwritten.
+ * Entry: { rev, ts, hash, content }
+ */
+const PLAN_REVISIONS_DIR = path.join(DATA_DIR, 'plan-revisions');
+const PLAN_DIFF_CONTEXT = 3;
+const PLAN_DIFF_MAX_CELLS = 4000000; // LCS table size; larger edits are shown as a block replacement
+const planRevisionCache = new Map(); // slug -> { revisions, writeQueue }
+
+function loadPlanRevisions(slug) {
+  const cached = planRevisionCache.get(slug);
+  if (cached) return cached;
+
+  const history = { revisions: [], writeQueue: Promise.resolve() };
+  const revisionsPath = path.join(PLAN_REVISIONS_DIR, `${slug}.jsonl`);
+  if (existsSync(revisionsPath)) {
+    try {
+      for (const line of readFileSync(revisionsPath, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try { history.revisions.push(JSON.parse(line)); } catch (e) { /* skip malformed lines */ }
+      }
+    } catch (e) {
+      console.error(`Error reading plan revisions for ${slug}:`, e);
+    }
   }
-});
 
-// API: Get team config
-app.get('/api/teams/:name', (req, res) => {
-  const config = loadTeamConfig(req.params.name);
-  if (!config) return res.status(404).json({ error: 'Team not found' });
-  res.json(config);
-});
+  planRevisionCache.set(slug, history);
+  return history;
+}
 
-app.get('/api/version', (req, res) => {
-  const pkg = require('./package.json');
-  res.json({ version: pkg.version });
-});
+/**
+ * Store the plan's current content as a new revision unless it matches the latest one.
+ * Returns the latest revision (new or existing), or null when the plan file is gone.
+ */
+function recordPlanRevision(slug) {
+  const plan = readPlanSnapshot(slug);
+  if (!plan) return null;
+  const history = loadPlanRevisions(slug);
+  const hash = crypto.createHash('sha1').update(plan.content).digest('hex');
+  const latest = history.revisions[history.revisions.length - 1];
+  if (latest && latest.hash === hash) return latest;
+
+  const revision = { rev: (latest?.rev || 0) + 1, ts: new Date().toISOString(), hash, content: plan.content };
+  history.revisions.push(revision);
+  history.writeQueue = history.writeQueue
+    .then(() => fs.mkdir(PLAN_REVISIONS_DIR, { recursive: true }))
+    .then(() => fs.appendFile(path.join(PLAN_REVISIONS_DIR, `${slug}.jsonl`), JSON.stringify(revision) + '\n'))
+    .catch(e => console.error(`Error writing plan revision for ${slug}:`, e));
+  return revision;
+}
 
-// API: Get all tasks across all sessions
-app.get('/api/tasks/all', async (req, res) => {
-  try {
-    if (!existsSync(TASKS_DIR)) {
-      return res.json([]);
+// Record plans that changed while the viewer was not running
+function seedPlanRevisions() {
+  for (const root of CLAUDE_ROOTS) {
+    if (!existsSync(root.plansDir)) continue;
+    for (const file of readdirSync(root.plansDir).filter(f => f.endsWith('.md'))) {
+      recordPlanRevision(path.basename(file, '.md'));
     }
+  }
+}
 
-    const metadata = loadSessionMetadata();
-    const sessionDirs = readdirSync(TASKS_DIR, { withFileTypes: true })
-      .filter(d => d.isDirectory());
-
-    const allTasks = [];
-
-    for (const sessionDir of sessionDirs) {
-      const sessionPath = path.join(TASKS_DIR, sessionDir.name);
-      const taskFiles = readdirSync(sessionPath).filter(f => f.endsWith('.json'));
-      const meta = metadata[sessionDir.name] || {};
+function summarizePlanRevision(revision) {
+  const title = revision.content.match(/^#\s+(.+)$/m);
+  return { rev: revision.rev, ts: revision.ts, title: title ? title[1].trim() : null, lines: revision.content.split('\n').length };
+}
 
-      for (const file of taskFiles) {
-        try {
-          const task = JSON.parse(readFileSync(path.join(sessionPath, file), 'utf8'));
-          allTasks.push({
-            ...task,
-            sessionId: sessionDir.name,
-            sessionName: getSessionDisplayName(sessionDir.name, meta),
-            project: meta.project || null
-          });
-        } catch (e) {
-          // Skip invalid files
-        }
+/**
+ * Line diff via longest common subsequence, after trimming the common prefix and suffix.
+ * Returns [{ type: 'same'|'add'|'del', text, oldLine, newLine }] with 1-based line numbers.
+ */
+function diffLines(oldText, newText) {
+  const a = oldText ? oldText.split('\n') : [];
+  const b = newText ? newText.split('\n') : [];
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const n = endA - start;
+  const m = endB - start;
+  const middle = [];
+  if ((n + 1) * (m + 1) <= PLAN_DIFF_MAX_CELLS) {
+    // lcs[i * (m + 1) + j] = LCS length of a[start+i..endA) and b[start+j..endB)
+    const lcs = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * (m + 1) + j] = a[start + i] === b[start + j]
+          ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
       }
     }
-
-    res.json(allTasks);
-  } catch (error) {
-    console.error('Error getting all tasks:', error);
-    res.status(500).json({ error: 'Failed to get all tasks' });
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && a[start + i] === b[start + j]) { middle.push(['same', i++, j++]); }
+      else if (i < n && (j === m || lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1])) { middle.push(['del', i++, null]); }
+      else { middle.push(['add', null, j++]); }
+    }
+  } else {
+    for (let i = 0; i < n; i++) middle.push(['del', i, null]);
+    for (let j = 0; j < m; j++) middle.push(['add', null, j]);
   }
-});
 
-// API: Add note to a task
-app.post('/api/tasks/:sessionId/:taskId/note', async (req, res) => {
-  try {
-    const { sessionId, taskId } = req.params;
-    const { note } = req.body;
+  const lines = [];
+  for (let k = 0; k < start; k++) lines.push({ type: 'same', text: a[k], oldLine: k + 1, newLine: k + 1 });
+  for (const [type, i, j] of middle) {
+    lines.push({
+      type,
+      text: type === 'add' ? b[start + j] : a[start + i],
+      oldLine: i === null ? null : start + i + 1,
+      newLine: j === null ? null : start + j + 1
+    });
+  }
+  for (let k = 0; k < a.length - endA; k++) {
+    lines.push({ type: 'same', text: a[endA + k], oldLine: endA + k + 1, newLine: endB + k + 1 });
+  }
+  return lines;
+}
 
-    if (!note || !note.trim()) {
-      return res.status(400).json({ error: 'Note cannot be empty' });
+// Group changed lines with PLAN_DIFF_CONTEXT unchanged lines around them, like a unified diff
+function diffHunks(lines) {
+  const hunks = [];
+  let current = null;
+  let lastChange = -Infinity;
+  lines.forEach((line, index) => {
+    if (line.type === 'same') return;
+    const from = Math.max(index - PLAN_DIFF_CONTEXT, 0);
+    if (current && from <= lastChange + PLAN_DIFF_CONTEXT + 1) {
+      current.end = index;
+    } else {
+      current = { start: from, end: index };
+      hunks.push(current);
     }
+    lastChange = index;
+  });
+  return hunks.map(({ start, end }) => lines.slice(start, Math.min(end + PLAN_DIFF_CONTEXT + 1, lines.length)));
+}
 
-    const taskPath = path.join(TASKS_DIR, sessionId, `${taskId}.json`);
+/**
+ * Plan-to-task traceability. Plan steps are checklist items, or numbered list items when the
+ * plan has no checklist, or level 2–3 headings when it has neither. A step links to the tasks
+ * it names explicitly (`#3`, `task 3`), otherwise to the task whose subject is most similar.
+ */
+// Subject similarity, also used to align tasks when comparing sessions
+const SUBJECT_MATCH_THRESHOLD = 0.6;
+const SUBJECT_STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'from', 'into', 'that', 'this', 'then', 'when', 'are', 'will', 'use', 'using', 'all', 'any', 'its', 'our', 'each', 'per', 'via']);
+
+function stripInlineMarkdown(text) {
+  return text
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`~]+/g, '')
+    .trim();
+}
 
-    if (!existsSync(taskPath)) {
-      return res.status(404).json({ error: 'Task not found' });
+function parsePlanSteps(content) {
+  const found = { checkbox: [], numbered: [], heading: [] };
+  let section = null;
+  let inFence = false;
+
+  (content || '').split('\n').forEach((raw, index) => {
+    if (/^\s*(```|~~~)/.test(raw)) { inFence = !inFence; return; }
+    if (inFence) return;
+    const line = index + 1;
+
+    const heading = raw.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      section = stripInlineMarkdown(heading[2]);
+      if (heading[1].length === 2 || heading[1].length === 3) found.heading.push({ line, section: null, text: section, checked: null });
+      return;
     }
+    const checkbox = raw.match(/^\s*[-*+]\s+\[([ xX])\]\s+(.+)$/);
+    if (checkbox) {
+      found.checkbox.push({ line, section, text: stripInlineMarkdown(checkbox[2]), checked: checkbox[1] !== ' ', lead: raw.match(/\*\*(.+?)\*\*/)?.[1] });
+      return;
+    }
+    const numbered = raw.match(/^\s*\d+[.)]\s+(.+)$/);
+    if (numbered) found.numbered.push({ line, section, text: stripInlineMarkdown(numbered[1]), checked: null, lead: raw.match(/\*\*(.+?)\*\*/)?.[1] });
+  });
 
-    // Read current task
-    const task = JSON.parse(await fs.readFile(taskPath, 'utf8'));
-
-    // Append note to description
-    const noteBlock = `\n\n---\n\n#### [Note added by user]\n\n${note.trim()}`;
-    task.description = (task.description || '') + noteBlock;
+  const kind = ['checkbox', 'numbered', 'heading'].find(k => found[k].length > 0) || null;
+  return { kind, steps: kind ? found[kind] : [] };
+}
 
-    // Write updated task
-    await fs.writeFile(taskPath, JSON.stringify(task, null, 2));
+function subjectTerms(text) {
+  return new Set(tokenize(text)
+    .filter(term => term.length > 2 && !SUBJECT_STOP_WORDS.has(term) && !/^\d+$/.test(term))
+    .map(term => term.length > 4 && term.endsWith('s') ? term.slice(0, -1) : term));
+}
 
-    res.json({ success: true, task });
-  } catch (error) {
-    console.error('Error adding note:', error);
-    res.status(500).json({ error: 'Failed to add note' });
-  }
-});
+// Mean of the Dice and overlap coefficients, so a short subject can still match a long step
+function termSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const term of a) if (b.has(term)) shared++;
+  return ((2 * shared) / (a.size + b.size) + shared / Math.min(a.size, b.size)) / 2;
+}
 
-// API: Update task fields (subject, description)
-app.put('/api/tasks/:sessionId/:taskId', async (req, res) => {
-  try {
-    const { sessionId, taskId } = req.params;
-    const { subject, description } = req.body;
+function explicitTaskIds(text) {
+  const ids = [];
+  for (const match of text.matchAll(/(?:\btask\s*#?|(?:^|[\s(\[,])#)(\d+)\b/gi)) ids.push(match[1]);
+  return [...new Set(ids)];
+}
 
-    const taskPath = path.join(TASKS_DIR, sessionId, `${taskId}.json`);
+function stepState(matches) {
+  if (matches.length === 0) return 'missing';
+  if (matches.every(m => m.status === 'completed')) return 'completed';
+  if (matches.some(m => m.status === 'in_progress' || m.status === 'completed')) return 'in_progress';
+  return 'pending';
+}
 
-    if (!existsSync(taskPath)) {
-      return res.status(404).json({ error: 'Task not found' });
+function tracePlan(content, tasks) {
+  const { kind, steps } = parsePlanSteps(content);
+  const taskById = new Map(tasks.map(t => [String(t.id), t]));
+  const taskTerms = tasks.map(t => ({ task: t, terms: subjectTerms(t.subject) }));
+  const linked = new Set();
+
+  const traced = steps.map((step, index) => {
+    let matches = explicitTaskIds(step.text)
+      .filter(id => taskById.has(id))
+      .map(id => ({ task: taskById.get(id), via: 'id', score: 1 }));
+
+    if (matches.length === 0) {
+      const candidates = [subjectTerms(step.text), step.lead ? subjectTerms(step.lead) : null].filter(Boolean);
+      let best = null;
+      for (const { task, terms } of taskTerms) {
+        const score = Math.max(...candidates.map(c => termSimilarity(c, terms)));
+        if (score >= SUBJECT_MATCH_THRESHOLD && (!best || score > best.score)) best = { task, via: 'subject', score };
+      }
+      if (best) matches = [best];
     }
 
-    const task = JSON.parse(await fs.readFile(taskPath, 'utf8'));
+    const linkedTasks = matches.map(({ task, via, score }) => {
+      linked.add(String(task.id));
+      return { taskId: String(task.id), subject: task.subject || '', status: task.status, via, score: Math.round(score * 100) / 100 };
+    });
+    return { index: index + 1, line: step.line, section: step.section, text: step.text, checked: step.checked, state: stepState(linkedTasks), tasks: linkedTasks };
+  });
 
-    if (subject !== undefined) task.subject = subject;
-    if (description !== undefined) task.description = description;
+  const count = state => traced.filter(s => s.state === state).length;
+  return {
+    kind,
+    steps: traced,
+    summary: { steps: traced.length, completed: count('completed'), inProgress: count('in_progress'), pending: count('pending'), missing: count('missing') },
+    unplannedTasks: tasks
+      .filter(t => !linked.has(String(t.id)))
+      .map(t => ({ taskId: String(t.id), subject: t.subject || '', status: t.status }))
+  };
+}
 
-    await fs.writeFile(taskPath, JSON.stringify(task, null, 2));
+function getSessionPlanSlug(sessionId) {
+  const slug = loadSessionMetadata()[sessionId]?.slug;
+  return slug && findPlanPath(slug) ? slug : null;
+}
 
-    res.json({ success: true, task });
+// API: Stored revisions of a session's plan, oldest first
+app.get('/api/sessions/:sessionId/plan/revisions', (req, res) => {
+  try {
+    const slug = getSessionPlanSlug(req.params.sessionId);
+    if (!slug) return res.status(404).json({ error: 'No plan found' });
+    recordPlanRevision(slug);
+    res.json({ slug, revisions: loadPlanRevisions(slug).revisions.map(summarizePlanRevision) });
   } catch (error) {
-    console.error('Error updating task:', error);
-    res.status(500).json({ error: 'Failed to update task' });
+    console.error('Error listing plan revisions:', error);
+    res.status(500).json({ error: 'Failed to list plan revisions' });
   }
 });
 
-// API: Delete a task
-app.delete('/api/tasks/:sessionId/:taskId', async (req, res) => {
+// API: Diff between two plan revisions (?from=&to=, default the latest against the one before it)
+app.get('/api/sessions/:sessionId/plan/diff', (req, res) => {
   try {
-    const { sessionId, taskId } = req.params;
-    const taskPath = path.join(TASKS_DIR, sessionId, `${taskId}.json`);
+    const slug = getSessionPlanSlug(req.params.sessionId);
+    if (!slug) return res.status(404).json({ error: 'No plan found' });
+    recordPlanRevision(slug);
+    const { revisions } = loadPlanRevisions(slug);
+    const findRevision = (value) => revisions.find(r => String(r.rev) === String(value));
+
+    const to = req.query.to ? findRevision(req.query.to) : revisions[revisions.length - 1];
+    if (!to) return res.status(400).json({ error: `Unknown revision: ${req.query.to}` });
+    const from = req.query.from ? findRevision(req.query.from) : revisions[revisions.indexOf(to) - 1] || null;
+    if (req.query.from && !from) return res.status(400).json({ error: `Unknown revision: ${req.query.from}` });
+
+    const lines = diffLines(from ? from.content : '', to.content);
+    res.json({
+      slug,
+      from: from ? summarizePlanRevision(from) : null,
+      to: summarizePlanRevision(to),
+      stats: { added: lines.filter(l => l.type === 'add').length, removed: lines.filter(l => l.type === 'del').length },
+      hunks: diffHunks(lines)
+    });
+  } catch (error) {
+    console.error('Error diffing plan revisions:', error);
+    res.status(500).json({ error: 'Failed to diff plan' });
+  }
+});
 
-    if (!existsSync(taskPath)) {
-      return res.status(404).json({ error: 'Task not found' });
-    }
+// API: Which plan steps have a matching task, and which tasks were never in the plan
+app.get('/api/sessions/:sessionId/plan/trace', (req, res) => {
+  try {
+    const slug = getSessionPlanSlug(req.params.sessionId);
+    if (!slug) return res.status(404).json({ error: 'No plan found' });
+    const plan = readPlanSnapshot(slug);
+    res.json({ slug, title: plan.title, ...tracePlan(plan.content, readSessionTasks(req.params.sessionId) || []) });
+  } catch (error) {
+    console.error('Error tracing plan:', error);
+    res.status(500).json({ error: 'Failed to trace plan' });
+  }
+});
 
-    // Check if this task blocks other tasks
-    const sessionPath = path.join(TASKS_DIR, sessionId);
-    const taskFiles = readdirSync(sessionPath).filter(f => f.endsWith('.json'));
+// API: Token usage and estimated cost breakdown for a session
+app.get('/api/sessions/:sessionId/usage', (req, res) => {
+  try {
+    const metadata = loadSessionMetadata();
+    const { usage, orchestratorModel } = loadSessionSubagentMap(metadata[req.params.sessionId]?.jsonlPath);
+    if (!usage) return res.status(404).json({ error: 'No transcript found' });
+    res.json({ ...usage, orchestratorModel });
+  } catch (error) {
+    console.error('Error reading usage:', error);
+    res.status(500).json({ error: 'Failed to read usage' });
+  }
+});
 
-    for (const file of taskFiles) {
-      const otherTask = JSON.parse(readFileSync(path.join(sessionPath, file), 'utf8'));
+// API: Token usage and estimated cost rolled up per project (?project= to restrict to one)
+app.get('/api/usage', (req, res) => {
+  try {
+    const metadata = loadSessionMetadata();
+    const projects = {};
+    const seen = new Set();
+    for (const [sessionId, meta] of Object.entries(metadata)) {
+      if (!meta.jsonlPath || seen.has(meta.jsonlPath)) continue;
+      if (req.query.project && meta.project !== req.query.project) continue;
+      seen.add(meta.jsonlPath); // team sessions share their lead's transcript
+      const { usage } = loadSessionSubagentMap(meta.jsonlPath);
+      if (!usage) continue;
+
+      const key = meta.project || 'unknown';
+      const entry = projects[key] = projects[key] || { project: key, sessions: 0, usage: emptyUsage(), cost: null };
+      entry.sessions++;
+      addUsage(entry.usage, usage.total);
+      if (usage.cost !== null) entry.cost = (entry.cost || 0) + usage.cost;
+    }
+    res.json(Object.values(projects).sort((a, b) => (b.cost || 0) - (a.cost || 0)));
+  } catch (error) {
+    console.error('Error computing usage:', error);
+    res.status(500).json({ error: 'Failed to compute usage' });
+  }
+});
+
+const TRANSCRIPT_TEXT_LIMIT = 20000;
+const TRANSCRIPT_TOOL_LIMIT = 4000;
+
+function truncate(text, limit) {
+  return text.length > limit ? text.slice(0, limit) + `\n… (${text.length - limit} more characters)` : text;
+}
+
+/**
+ * Stream one page of a transcript JSONL as normalized user/assistant entries (see isTranscriptEntry).
+ * Each entry lists the task IDs its TaskCreate/TaskUpdate calls touched, so the UI can jump to them.
+ * Reading starts at the indexed entry offset closest below the page and stops after the page, once
+ * the results of its TaskCreate calls (which carry the new ids) have been read.
+ */
+const TRANSCRIPT_RESULT_LOOKAHEAD = 20; // entries read past the page for TaskCreate results
+
+async function readTranscriptEntries(filePath, entryOffsets, offset, limit) {
+  const checkpoint = Math.max(0, Math.min(Math.floor(offset / TRANSCRIPT_PAGE_STRIDE), entryOffsets.length - 1));
+  const input = createReadStream(filePath, { encoding: 'utf8', start: entryOffsets[checkpoint] || 0 });
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+  const entries = [];
+  const createCalls = new Map(); // toolUseId -> entry of a TaskCreate call, resolved by its tool_result
+  let index = checkpoint * TRANSCRIPT_PAGE_STRIDE;
+
+  try {
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+      let d;
+      try { d = JSON.parse(line); } catch (e) { continue; }
+      if (!isTranscriptEntry(d)) continue;
+      const pastPage = index - (offset + limit);
+      if (pastPage >= 0 && (createCalls.size === 0 || pastPage >= TRANSCRIPT_RESULT_LOOKAHEAD)) break;
+      const inPage = index >= offset && pastPage < 0;
+
+      const content = typeof d.message.content === 'string'
+        ? [{ type: 'text', text: d.message.content }]
+        : (Array.isArray(d.message.content) ? d.message.content : []);
+
+      const entry = {
+        index: index++,
+        uuid: d.uuid || null,
+        timestamp: d.timestamp || null,
+        role: d.message.role || d.type,
+        model: d.message.model || null,
+        blocks: [],
+        taskIds: []
+      };
+
+      for (const c of content) {
+        if (!c || typeof c !== 'object') continue;
+        if (c.type === 'text' && c.text) {
+          entry.blocks.push({ type: 'text', text: truncate(c.text, TRANSCRIPT_TEXT_LIMIT) });
+        } else if (c.type === 'thinking' && c.thinking) {
+          entry.blocks.push({ type: 'thinking', text: truncate(c.thinking, TRANSCRIPT_TEXT_LIMIT) });
+        } else if (c.type === 'tool_use') {
+          entry.blocks.push({ type: 'tool_use', id: c.id, name: c.name, input: truncate(JSON.stringify(c.input ?? {}, null, 2), TRANSCRIPT_TOOL_LIMIT) });
+          if (c.name === 'TaskUpdate' && c.input?.taskId) entry.taskIds.push(String(c.input.taskId));
+          if (c.name === 'TaskCreate' && inPage) createCalls.set(c.id, entry);
+        } else if (c.type === 'tool_result') {
+          const text = Array.isArray(c.content)
+            ? c.content.map(x => x.text || '').join('')
+            : String(c.content || '');
+          entry.blocks.push({ type: 'tool_result', toolUseId: c.tool_use_id, isError: !!c.is_error, content: truncate(text, TRANSCRIPT_TOOL_LIMIT) });
+          const created = text.match(/Task #(\d+) created/);
+          if (created && createCalls.has(c.tool_use_id)) createCalls.get(c.tool_use_id).taskIds.push(created[1]);
+          createCalls.delete(c.tool_use_id);
+        }
+      }
+
+      if (inPage) entries.push(entry);
+    }
+  } finally {
+    rl.close();
+    input.destroy();
+  }
+  return entries;
+}
+
+// API: Paginated transcript for a session (?offset=&limit=, ?agentId= for a subagent, ?taskId= to land on a task's calls)
+app.get('/api/sessions/:sessionId/transcript', async (req, res) => {
+  try {
+    const metadata = loadSessionMetadata();
+    const jsonlPath = metadata[req.params.sessionId]?.jsonlPath;
+    if (!jsonlPath || !existsSync(jsonlPath)) return res.status(404).json({ error: 'No transcript found' });
+
+    const { agentId, taskId } = req.query;
+    let filePath = jsonlPath;
+    if (agentId) {
+      if (!/^[\w-]+$/.test(agentId)) return res.status(400).json({ error: 'Invalid agentId' });
+      filePath = path.join(getSubagentsDir(jsonlPath), `agent-${agentId}.jsonl`);
+      if (!existsSync(filePath)) return res.status(404).json({ error: 'Agent transcript not found' });
+    }
+
+    // The index knows the entry count, where pages start and which entry holds each task call
+    const indexed = indexTranscript(filePath);
+    if (!indexed) return res.status(404).json({ error: 'No transcript found' });
+    const { entryCount, entryOffsets, taskCalls } = indexed.state;
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    let offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    let focusIndex = null;
+    if (taskId) {
+      const match = taskCalls.find(c => c.taskId === String(taskId) && c.entryIndex !== null);
+      if (match) {
+        focusIndex = match.entryIndex;
+        offset = Math.max(0, focusIndex - 2);
+      }
+    }
+
+    const entries = await readTranscriptEntries(filePath, entryOffsets, offset, limit);
+    const { usage } = loadSessionSubagentMap(jsonlPath);
+    res.json({
+      total: entryCount,
+      offset,
+      limit,
+      agentId: agentId || null,
+      focusIndex,
+      agents: (usage?.agents || []).map(a => ({ agentId: a.agentId, subagentType: a.subagentType, model: a.model })),
+      entries
+    });
+  } catch (error) {
+    console.error('Error reading transcript:', error);
+    res.status(500).json({ error: 'Failed to read transcript' });
+  }
+});
+
+// API: Get recorded task history for a session (optionally a single task)
+app.get('/api/sessions/:sessionId/history', (req, res) => {
+  try {
+    const { events } = loadTaskHistory(req.params.sessionId);
+    const taskId = req.query.taskId;
+    res.json(taskId ? events.filter(e => e.taskId === String(taskId)) : events);
+  } catch (error) {
+    console.error('Error reading history:', error);
+    res.status(500).json({ error: 'Failed to read history' });
+  }
+});
+
+/**
+ * What code a task changed. File edits and Bash commands come from the transcripts: everything
+ * its attributed subagent did, or, for work done by the orchestrator (or a subagent that handled
+ * several tasks), the calls made inside the task's in-progress window. When the project is a git
+ * repo, commits on the session's branch made during the session are listed and linked to tasks
+ * that name them (#3) or that touched the same files in their window.
+ */
+const GIT_TIMEOUT = 5000;
+const GIT_MAX_BUFFER = 4 * 1024 * 1024;
+const COMMIT_LINK_GRACE = 15 * 60 * 1000; // commits shortly after a task completes still count as its work
+const COMMIT_PATCH_MAX = 256 * 1024;
+const COMMANDS_PER_TASK = 50;
+
+function runGit(cwd, args) {
+  return new Promise((resolve, reject) => {
+    require('child_process').execFile('git', ['-C', cwd, ...args], { timeout: GIT_TIMEOUT, maxBuffer: GIT_MAX_BUFFER }, (error, stdout) => {
+      if (error) reject(error);
+      else resolve(stdout);
+    });
+  });
+}
+
+// Start and end of a task's work: TaskUpdate calls in the transcripts first, recorded history second
+function taskWorkWindow(taskId, workUpdates, timings) {
+  const updates = workUpdates.filter(u => u.taskId === taskId && u.timestamp);
+  const start = updates.find(u => u.status === 'in_progress')?.timestamp || null;
+  const end = updates.find(u => u.status === 'completed' && (!start || u.timestamp >= start))?.timestamp || null;
+  if (start) return { start, end, source: 'transcript' };
+  if (timings.startedAt) return { start: timings.startedAt, end: timings.completedAt, source: 'history' };
+  return { start: null, end: end || timings.completedAt || null, source: null };
+}
+
+function inWindow(timestamp, window) {
+  if (!window.start || !timestamp) return false;
+  return timestamp >= window.start && (!window.end || timestamp <= window.end);
+}
+
+function summarizeFileChanges(changes, project) {
+  const files = new Map();
+  const commands = [];
+  for (const change of changes) {
+    if (change.tool === 'Bash') {
+      commands.push({ timestamp: change.timestamp, command: change.command });
+      continue;
+    }
+    const relative = project && change.filePath.startsWith(project + path.sep) ? path.relative(project, change.filePath) : null;
+    const file = files.get(change.filePath) || { path: change.filePath, relativePath: relative, tools: [], count: 0, lastAt: null };
+    if (!file.tools.includes(change.tool)) file.tools.push(change.tool);
+    file.count++;
+    file.lastAt = change.timestamp || file.lastAt;
+    files.set(change.filePath, file);
+  }
+  return { files: [...files.values()], commands: commands.slice(-COMMANDS_PER_TASK) };
+}
+
+// Per-task file changes for a session: { taskId -> { window, agentId, files, commands } }
+function collectTaskChanges(tasks, meta, events) {
+  const result = {};
+  const main = meta?.jsonlPath ? indexTranscript(meta.jsonlPath) : null;
+  const subagents = new Map();
+  const workUpdates = [];
+  if (main) {
+    workUpdates.push(...main.state.workUpdates.map(u => ({ ...u, agentId: null })));
+    for (const { agentId, filePath } of listSubagentTranscripts(meta.jsonlPath)) {
+      const entry = indexTranscript(filePath);
+      if (!entry) continue;
+      subagents.set(agentId, entry.state);
+      workUpdates.push(...entry.state.workUpdates.map(u => ({ ...u, agentId })));
+    }
+  }
+
+  const now = Date.now();
+  for (const task of tasks) {
+    const taskId = String(task.id);
+    const timings = computeTaskTimings(events.filter(e => e.taskId === taskId), now);
+    const window = taskWorkWindow(taskId, workUpdates, timings);
+    const agentId = task.attribution?.agentId || null;
+    const agentState = agentId ? subagents.get(agentId) : null;
+
+    let changes = [];
+    if (agentState) {
+      // A subagent that worked on other tasks too only counts inside this task's window
+      const sharedAgent = new Set(agentState.workUpdates.map(u => u.taskId)).size > 1;
+      changes = sharedAgent && window.start ? agentState.fileChanges.filter(c => inWindow(c.timestamp, window)) : agentState.fileChanges;
+    } else if (main) {
+      changes = main.state.fileChanges.filter(c => inWindow(c.timestamp, window));
+    }
+    result[taskId] = { window, agentId, ...summarizeFileChanges(changes, meta?.project || null) };
+  }
+  return result;
+}
+
+// Web URL prefix for commits when origin is a GitHub/GitLab-style remote, else null
+async function commitUrlBase(project) {
+  try {
+    const remote = (await runGit(project, ['remote', 'get-url', 'origin'])).trim();
+    const match = remote.match(/^(?:https?:\/\/(?:[^@/]+@)?|git@|ssh:\/\/git@)([^/:]+)[:/](.+?)(?:\.git)?\/?$/);
+    return match ? `https://${match[1]}/${match[2]}/commit/` : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Commits on the session's branch (HEAD when the branch is unknown locally) between the session's
+ * first and last activity. Returns null when the project is not a git repo.
+ */
+async function listSessionCommits(project, branch, since, until) {
+  if (!project || !existsSync(project)) return null;
+  try {
+    await runGit(project, ['rev-parse', '--git-dir']);
+  } catch (e) {
+    return null;
+  }
+
+  const args = ['log', `--since=${since}`, `--until=${until}`, '--format=%x1e%H%x1f%h%x1f%an%x1f%aI%x1f%s', '--name-only'];
+  let output;
+  try {
+    output = await runGit(project, [...args, branch || 'HEAD', '--']);
+  } catch (e) {
+    output = await runGit(project, [...args, 'HEAD', '--']).catch(() => '');
+  }
+  const root = (await runGit(project, ['rev-parse', '--show-toplevel']).catch(() => project)).trim();
+
+  return output.split('\x1e').filter(Boolean).map(record => {
+    const [header, ...names] = record.split('\n');
+    const [sha, shortSha, author, date, subject] = header.split('\x1f');
+    return { sha, shortSha, author, date, subject, files: names.filter(Boolean).map(name => path.join(root, name)) };
+  });
+}
+
+async function buildSessionWorkContext(sessionId) {
+  const meta = loadSessionMetadata()[sessionId];
+  const tasks = readSessionTasks(sessionId);
+  if (!tasks && !meta) return null;
+
+  enrichTasksWithAgents(tasks || [], meta?.jsonlPath);
+  const changes = collectTaskChanges(tasks || [], meta, loadTaskHistory(sessionId).events);
+
+  // Session span: the first task start (or session creation) to the transcript's last write
+  const windows = Object.values(changes).map(c => c.window);
+  const starts = [meta?.created, ...windows.map(w => w.start)].filter(Boolean).map(Date.parse).filter(Number.isFinite);
+  const ends = windows.map(w => w.end).filter(Boolean).map(Date.parse);
+  try { if (meta?.jsonlPath) ends.push(statSync(meta.jsonlPath).mtimeMs); } catch (e) {}
+  const commits = starts.length > 0
+    ? await listSessionCommits(meta?.project, meta?.gitBranch, new Date(Math.min(...starts)).toISOString(), new Date(Math.max(Date.now(), ...ends) + COMMIT_LINK_GRACE).toISOString())
+    : null;
+
+  if (commits) {
+    const urlBase = commits.length > 0 ? await commitUrlBase(meta.project) : null;
+    for (const commit of commits) {
+      const named = explicitTaskIds(commit.subject).filter(id => changes[id]);
+      const touched = Object.entries(changes).filter(([, c]) => {
+        const committedAt = Date.parse(commit.date);
+        if (!c.window.start || committedAt < Date.parse(c.window.start)) return false;
+        if (c.window.end && committedAt > Date.parse(c.window.end) + COMMIT_LINK_GRACE) return false;
+        return c.files.some(f => commit.files.includes(f.path));
+      }).map(([taskId]) => taskId);
+      commit.taskIds = [...new Set([...named, ...touched])];
+      commit.url = urlBase ? urlBase + commit.sha : null;
+    }
+  }
+
+  return { project: meta?.project || null, branch: meta?.gitBranch || null, repo: commits !== null, commits: commits || [], tasks: changes };
+}
+
+// API: Files changed and git commits for every task of a session
+app.get('/api/sessions/:sessionId/changes', async (req, res) => {
+  try {
+    const context = await buildSessionWorkContext(req.params.sessionId);
+    if (!context) return res.status(404).json({ error: 'Session not found' });
+    res.json(context);
+  } catch (error) {
+    console.error('Error collecting session changes:', error);
+    res.status(500).json({ error: 'Failed to collect changes' });
+  }
+});
+
+// API: Files changed and linked commits for one task
+app.get('/api/sessions/:sessionId/tasks/:taskId/changes', async (req, res) => {
+  try {
+    const context = await buildSessionWorkContext(req.params.sessionId);
+    const changes = context?.tasks[req.params.taskId];
+    if (!changes) return res.status(404).json({ error: 'Task not found' });
+    res.json({
+      taskId: req.params.taskId,
+      project: context.project,
+      branch: context.branch,
+      repo: context.repo,
+      ...changes,
+      commits: context.commits.filter(c => c.taskIds.includes(req.params.taskId))
+    });
+  } catch (error) {
+    console.error('Error collecting task changes:', error);
+    res.status(500).json({ error: 'Failed to collect changes' });
+  }
+});
+
+// API: The patch of one commit in the session's project
+app.get('/api/sessions/:sessionId/commits/:sha', async (req, res) => {
+  try {
+    if (!/^[0-9a-f]{7,40}$/i.test(req.params.sha)) return res.status(400).json({ error: 'Invalid commit id' });
+    const project = loadSessionMetadata()[req.params.sessionId]?.project;
+    if (!project || !existsSync(project)) return res.status(404).json({ error: 'Project not found' });
+
+    let patch;
+    try {
+      patch = await runGit(project, ['show', '--stat', '--patch', '--format=commit %H%nAuthor: %an <%ae>%nDate:   %aI%n%n%B', req.params.sha, '--']);
+    } catch (e) {
+      return res.status(404).json({ error: 'Commit not found' });
+    }
+    const truncated = patch.length > COMMIT_PATCH_MAX;
+    res.json({ sha: req.params.sha, patch: truncated ? patch.slice(0, COMMIT_PATCH_MAX) : patch, truncated });
+  } catch (error) {
+    console.error('Error reading commit:', error);
+    res.status(500).json({ error: 'Failed to read commit' });
+  }
+});
+
+/**
+ * Board replay: a session's task changes in time order, merged from the TaskCreate/TaskUpdate
+ * calls in its transcripts (main and subagents) and the viewer's own task history, so sessions
+ * that ran while the viewer was closed replay too. Calls are replayed onto a running board state
+ * and only real changes are emitted, so a change seen in both sources appears once.
+ * Event: { ts, taskId, type: 'created'|'updated'|'deleted', changes: { field: value }, agentId, source }
+ */
+const REPLAY_FIELDS = ['subject', 'status', 'owner', 'activeForm', 'blockedBy', 'blocks'];
+
+function replaySourceEvents(meta, historyEvents) {
+  const sources = [];
+  const main = meta?.jsonlPath ? indexTranscript(meta.jsonlPath) : null;
+  if (main) {
+    const transcripts = [{ agentId: null, state: main.state }];
+    for (const { agentId, filePath } of listSubagentTranscripts(meta.jsonlPath)) {
+      const entry = indexTranscript(filePath);
+      if (entry) transcripts.push({ agentId, state: entry.state });
+    }
+    for (const { agentId, state } of transcripts) {
+      for (const call of state.taskCalls) {
+        if (call.taskId && call.timestamp) sources.push({ ts: call.timestamp, taskId: call.taskId, source: 'transcript', agentId, call });
+      }
+    }
+  }
+  for (const entry of historyEvents) {
+    sources.push({ ts: entry.ts, taskId: entry.taskId, source: 'history', agentId: null, entry });
+  }
+  return sources.sort((a, b) => a.ts.localeCompare(b.ts));
+}
+
+function buildSessionReplay(sessionId) {
+  const meta = loadSessionMetadata()[sessionId];
+  const history = loadTaskHistory(sessionId).events;
+  if (!meta && history.length === 0 && !findSessionRoot(sessionId)) return null;
+
+  const board = new Map(); // taskId -> { subject, status, owner, activeForm, blockedBy, blocks }
+  const events = [];
+
+  function apply(ts, taskId, next, source, agentId) {
+    const prev = board.get(taskId);
+    if (next === null) {
+      if (!prev) return;
+      board.delete(taskId);
+      events.push({ ts, taskId, type: 'deleted', changes: {}, agentId, source });
+      return;
+    }
+    const task = prev || { subject: '', status: 'pending', owner: null, activeForm: null, blockedBy: [], blocks: [] };
+    // History snapshots store a task without dependency lists as null
+    next = { ...next };
+    for (const field of ['blockedBy', 'blocks']) {
+      if (next[field] === null) next[field] = [];
+    }
+    const changes = {};
+    for (const field of REPLAY_FIELDS) {
+      if (next[field] === undefined || JSON.stringify(next[field]) === JSON.stringify(task[field])) continue;
+      changes[field] = next[field];
+    }
+    if (prev && Object.keys(changes).length === 0) return;
+    board.set(taskId, { ...task, ...changes });
+    events.push({ ts, taskId, type: prev ? 'updated' : 'created', changes: prev ? changes : { ...task, ...changes }, agentId, source });
+  }
+
+  // Dependencies added from one side are mirrored on the other, as TaskUpdate does on disk
+  function link(ts, fromId, field, ids, source, agentId) {
+    const mirror = field === 'blockedBy' ? 'blocks' : 'blockedBy';
+    const current = board.get(fromId)?.[field] || [];
+    apply(ts, fromId, { [field]: [...new Set([...current, ...ids.map(String)])] }, source, agentId);
+    for (const id of ids.map(String)) {
+      const other = board.get(id);
+      if (other && !other[mirror].includes(fromId)) apply(ts, id, { [mirror]: [...other[mirror], fromId] }, source, agentId);
+    }
+  }
+
+  for (const event of replaySourceEvents(meta, history)) {
+    const { ts, taskId, source, agentId } = event;
+    if (event.entry) {
+      apply(ts, taskId, event.entry.type === 'deleted' ? null : event.entry.snapshot, source, agentId);
+      continue;
+    }
+    const { kind, input } = event.call;
+    if (input.status === 'deleted') {
+      apply(ts, taskId, null, source, agentId);
+      continue;
+    }
+    const fields = {};
+    for (const field of ['subject', 'status', 'owner', 'activeForm']) {
+      if (input[field] !== undefined) fields[field] = input[field] || null;
+    }
+    if (kind === 'create' && !fields.status && !board.has(taskId)) fields.status = 'pending';
+    apply(ts, taskId, fields, source, agentId);
+    if (Array.isArray(input.addBlockedBy) && input.addBlockedBy.length > 0) link(ts, taskId, 'blockedBy', input.addBlockedBy, source, agentId);
+    if (Array.isArray(input.addBlocks) && input.addBlocks.length > 0) link(ts, taskId, 'blocks', input.addBlocks, source, agentId);
+  }
+
+  return {
+    sessionId,
+    start: events[0]?.ts || null,
+    end: events[events.length - 1]?.ts || null,
+    events
+  };
+}
+
+// API: Every task change of a session in time order, for replaying its board
+app.get('/api/sessions/:sessionId/replay', (req, res) => {
+  try {
+    const replay = buildSessionReplay(req.params.sessionId);
+    if (!replay) return res.status(404).json({ error: 'Session not found' });
+    res.json(replay);
+  } catch (error) {
+    console.error('Error building session replay:', error);
+    res.status(500).json({ error: 'Failed to build replay' });
+  }
+});
+
+/**
+ * Dependency graph for a session's tasks. An edge A -> B means A blocks B, read from either side
+ * (A.blocks or B.blockedBy). Cycles are the strongly connected components (Tarjan); layers and the
+ * critical path are computed with each cycle collapsed to a single node. The critical path is the
+ * longest chain of incomplete tasks, counted in tasks.
+ */
+function analyzeTaskGraph(tasks) {
+  const byId = new Map(tasks.map(t => [String(t.id), t]));
+  const succ = new Map([...byId.keys()].map(id => [id, []]));
+  const pred = new Map([...byId.keys()].map(id => [id, []]));
+  const edges = [];
+  const edgeKeys = new Set();
+  const dangling = []; // {taskId, field, missingId}
+
+  function addEdge(from, to) {
+    if (edgeKeys.has(`${from}>${to}`)) return;
+    edgeKeys.add(`${from}>${to}`);
+    edges.push({ from, to });
+    succ.get(from).push(to);
+    pred.get(to).push(from);
+  }
+
+  for (const task of tasks) {
+    const id = String(task.id);
+    for (const ref of task.blocks || []) {
+      if (byId.has(String(ref))) addEdge(id, String(ref));
+      else dangling.push({ taskId: id, field: 'blocks', missingId: String(ref) });
+    }
+    for (const ref of task.blockedBy || []) {
+      if (byId.has(String(ref))) addEdge(String(ref), id);
+      else dangling.push({ taskId: id, field: 'blockedBy', missingId: String(ref) });
+    }
+  }
+
+  // Tarjan emits components sinks-first, so reversed they are in topological order
+  const components = [];
+  const indexOf = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  function strongConnect(id) {
+    indexOf.set(id, indexOf.size);
+    lowLink.set(id, indexOf.get(id));
+    stack.push(id);
+    onStack.add(id);
+    for (const next of succ.get(id)) {
+      if (!indexOf.has(next)) {
+        strongConnect(next);
+        lowLink.set(id, Math.min(lowLink.get(id), lowLink.get(next)));
+      } else if (onStack.has(next)) {
+        lowLink.set(id, Math.min(lowLink.get(id), indexOf.get(next)));
+      }
+    }
+    if (lowLink.get(id) === indexOf.get(id)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== id);
+      components.push(component);
+    }
+  }
+  for (const id of byId.keys()) {
+    if (!indexOf.has(id)) strongConnect(id);
+  }
+  components.reverse();
+
+  const componentOf = new Map();
+  components.forEach((component, i) => component.forEach(id => componentOf.set(id, i)));
+  const cycles = components
+    .filter(c => c.length > 1 || succ.get(c[0]).includes(c[0]))
+    .map(c => c.sort((a, b) => parseInt(a) - parseInt(b)));
+  const inCycle = new Set(cycles.flat());
+
+  const layerOf = new Map();
+  const chainLength = new Map(); // incomplete tasks only: longest incomplete chain ending here
+  const chainPrev = new Map();
+  for (const component of components) {
+    const c = componentOf.get(component[0]);
+    const outsidePreds = id => pred.get(id).filter(p => componentOf.get(p) !== c);
+    let layer = 0;
+    for (const id of component) {
+      for (const p of outsidePreds(id)) layer = Math.max(layer, layerOf.get(p) + 1);
+    }
+    for (const id of component) {
+      layerOf.set(id, layer);
+      if (byId.get(id).status === 'completed') continue;
+      let best = 0, bestPrev = null;
+      for (const p of outsidePreds(id)) {
+        if ((chainLength.get(p) || 0) > best) { best = chainLength.get(p); bestPrev = p; }
+      }
+      chainLength.set(id, best + 1);
+      chainPrev.set(id, bestPrev);
+    }
+  }
+
+  let criticalPath = [];
+  let end = null;
+  for (const [id, length] of chainLength) {
+    if (!end || length > chainLength.get(end)) end = id;
+  }
+  // A lone task isn't a chain worth highlighting
+  if (end && chainLength.get(end) > 1) {
+    for (let id = end; id; id = chainPrev.get(id)) criticalPath.unshift(id);
+  }
+  const criticalEdges = new Set(criticalPath.slice(1).map((id, i) => `${criticalPath[i]}>${id}`));
+  const onCriticalPath = new Set(criticalPath);
+
+  const nodes = [...byId.values()]
+    .map(t => ({
+      id: String(t.id),
+      subject: t.subject || '',
+      status: t.status,
+      owner: t.owner || null,
+      layer: layerOf.get(String(t.id)),
+      inCycle: inCycle.has(String(t.id)),
+      critical: onCriticalPath.has(String(t.id))
+    }))
+    .sort((a, b) => a.layer - b.layer || parseInt(a.id) - parseInt(b.id));
+
+  return {
+    nodes,
+    edges: edges.map(e => ({
+      ...e,
+      critical: criticalEdges.has(`${e.from}>${e.to}`),
+      inCycle: inCycle.has(e.from) && componentOf.get(e.from) === componentOf.get(e.to)
+    })),
+    criticalPath,
+    cycles,
+    dangling
+  };
+}
+
+// API: Dependency graph for a session (layers, critical path, cycles, dangling references)
+app.get('/api/sessions/:sessionId/graph', (req, res) => {
+  try {
+    const tasks = readSessionTasks(req.params.sessionId);
+    if (!tasks) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(analyzeTaskGraph(tasks));
+  } catch (error) {
+    console.error('Error building dependency graph:', error);
+    res.status(500).json({ error: 'Failed to build dependency graph' });
+  }
+});
+
+function summarizeTaskGroup(tasks) {
+  const completed = tasks.filter(t => t.status === 'completed');
+  const withProgress = tasks.filter(t => t.timeInProgressMs > 0);
+  const withLead = completed.filter(t => t.leadTimeMs !== null);
+  const avg = (list, key) => list.length > 0 ? Math.round(list.reduce((sum, t) => sum + t[key], 0) / list.length) : null;
+  return {
+    tasks: tasks.length,
+    completed: completed.length,
+    inProgress: tasks.filter(t => t.status === 'in_progress').length,
+    avgTimeInProgressMs: avg(withProgress, 'timeInProgressMs'),
+    avgLeadTimeMs: avg(withLead, 'leadTimeMs')
+  };
+}
+
+function breakdownBy(tasks, key, fallback) {
+  const groups = {};
+  for (const task of tasks) {
+    const value = task[key] || fallback;
+    (groups[value] = groups[value] || []).push(task);
+  }
+  return Object.entries(groups)
+    .map(([value, group]) => ({ key: value, ...summarizeTaskGroup(group) }))
+    .sort((a, b) => b.tasks - a.tasks);
+}
+
+// Average completions per hour across the span from the first to the last completion hour
+function throughputPerHour(throughput) {
+  if (throughput.length === 0) return null;
+  const first = Date.parse(throughput[0].hour);
+  const last = Date.parse(throughput[throughput.length - 1].hour);
+  const hours = (last - first) / 3600000 + 1;
+  const total = throughput.reduce((sum, h) => sum + h.completed, 0);
+  return Math.round((total / hours) * 10) / 10;
+}
+
+// A session's task changes in the task history's shape ({ ts, taskId, type, snapshot: { status } }),
+// rebuilt from the replay so tasks that changed while the viewer wasn't running still get timings
+function replayTaskEvents(sessionId) {
+  const byTask = new Map();
+  const statuses = new Map();
+  for (const event of buildSessionReplay(sessionId)?.events || []) {
+    if (event.changes.status) statuses.set(event.taskId, event.changes.status);
+    if (!byTask.has(event.taskId)) byTask.set(event.taskId, []);
+    byTask.get(event.taskId).push({ ts: event.ts, taskId: event.taskId, type: event.type, snapshot: { status: statuses.get(event.taskId) } });
+  }
+  return byTask;
+}
+
+// Cycle time and throughput for one session, one project or (neither given) every session
+function computeAnalytics({ sessionId, project } = {}) {
+  const metadata = loadSessionMetadata();
+
+  let sessionIds = [];
+  if (sessionId) {
+    sessionIds = [sessionId];
+  } else {
+    sessionIds = listSessionIds().filter(id => !project || metadata[id]?.project === project);
+  }
+
+  const now = Date.now();
+  const tasks = [];
+  for (const sid of sessionIds) {
+    const sessionTasks = readSessionTasks(sid);
+    if (!sessionTasks) continue;
+    enrichTasksWithAgents(sessionTasks, metadata[sid]?.jsonlPath);
+
+    const { events } = loadTaskHistory(sid);
+    const replayEvents = replayTaskEvents(sid);
+    for (const task of sessionTasks) {
+      let taskEvents = events.filter(e => e.taskId === String(task.id));
+      // Whatever happened before the history starts (all of it, for tasks the viewer never saw
+      // change) comes from the transcripts' TaskCreate/TaskUpdate calls
+      const historyStart = taskEvents[0]?.ts;
+      const earlier = (replayEvents.get(String(task.id)) || []).filter(e => !historyStart || e.ts < historyStart);
+      if (earlier.length > 0) taskEvents = [...earlier, ...taskEvents];
+      tasks.push({
+        sessionId: sid,
+        project: metadata[sid]?.project || null,
+        id: task.id,
+        subject: task.subject,
+        status: task.status,
+        owner: task.owner || null,
+        subagentType: task.subagentType || null,
+        model: task.model || null,
+        ...computeTaskTimings(taskEvents, now)
+      });
+    }
+  }
+
+  // Completions bucketed by hour (UTC)
+  const hourly = {};
+  for (const task of tasks) {
+    if (!task.completedAt) continue;
+    const hour = task.completedAt.slice(0, 13) + ':00:00.000Z';
+    hourly[hour] = (hourly[hour] || 0) + 1;
+  }
+  const throughput = Object.entries(hourly)
+    .map(([hour, completed]) => ({ hour, completed }))
+    .sort((a, b) => a.hour.localeCompare(b.hour));
+
+  return {
+    scope: sessionId ? { sessionId } : (project ? { project } : {}),
+    summary: {
+      ...summarizeTaskGroup(tasks),
+      sessions: sessionIds.length,
+      avgThroughputPerHour: throughputPerHour(throughput)
+    },
+    throughput,
+    breakdowns: {
+      owner: breakdownBy(tasks, 'owner', 'unassigned'),
+      subagentType: breakdownBy(tasks, 'subagentType', 'main agent'),
+      model: breakdownBy(tasks, 'model', 'unknown')
+    },
+    tasks
+  };
+}
+
+// API: Cycle time and throughput analytics (?sessionId= or ?project=, default all sessions)
+app.get('/api/analytics', (req, res) => {
+  try {
+    const { sessionId, project } = req.query;
+    if (sessionId && !listSessionIds().includes(sessionId) && !loadSessionMetadata()[sessionId]) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(computeAnalytics({ sessionId, project }));
+  } catch (error) {
+    console.error('Error computing analytics:', error);
+    res.status(500).json({ error: 'Failed to compute analytics' });
+  }
+});
+
+/**
+ * Session comparison: the same prompt re-run on another model or branch. Tasks are aligned into
+ * rows by subject similarity, one task per session per row, best matches first.
+ */
+const COMPARE_MAX_SESSIONS = 6;
+
+function alignTasksBySubject(taskLists) {
+  const rows = []; // { cells: task|null per session, terms: term sets of the tasks in the row }
+  taskLists.forEach((tasks, column) => {
+    const terms = tasks.map(t => subjectTerms(t.subject));
+    const candidates = [];
+    tasks.forEach((task, i) => rows.forEach((row, r) => {
+      const score = Math.max(...row.terms.map(rowTerms => termSimilarity(terms[i], rowTerms)));
+      if (score >= SUBJECT_MATCH_THRESHOLD) candidates.push({ i, r, score });
+    }));
+    candidates.sort((a, b) => b.score - a.score);
+
+    const placed = new Set();
+    const filled = new Set();
+    for (const { i, r } of candidates) {
+      if (placed.has(i) || filled.has(r)) continue;
+      rows[r].cells[column] = tasks[i];
+      rows[r].terms.push(terms[i]);
+      placed.add(i);
+      filled.add(r);
+    }
+    tasks.forEach((task, i) => {
+      if (placed.has(i)) return;
+      const cells = new Array(taskLists.length).fill(null);
+      cells[column] = task;
+      rows.push({ cells, terms: [terms[i]] });
+    });
+  });
+  return rows.map(row => row.cells);
+}
+
+function buildSessionComparison(sessionIds, metadata) {
+  const now = Date.now();
+  const columns = sessionIds.map(sessionId => {
+    const meta = metadata[sessionId] || {};
+    const tasks = readSessionTasks(sessionId) || [];
+    enrichTasksWithAgents(tasks, meta.jsonlPath);
+    const { usage, orchestratorModel } = loadSessionSubagentMap(meta.jsonlPath);
+    const { events } = loadTaskHistory(sessionId);
+
+    const compared = tasks.map(task => ({
+      id: String(task.id),
+      subject: task.subject || '',
+      status: task.status,
+      owner: task.owner || null,
+      subagentType: task.subagentType || null,
+      model: task.model || null,
+      ...computeTaskTimings(events.filter(e => e.taskId === String(task.id)), now)
+    }));
+    const created = compared.map(t => t.createdAt).filter(Boolean).sort();
+    const completed = compared.map(t => t.completedAt).filter(Boolean).sort();
+    const allDone = compared.length > 0 && compared.every(t => t.status === 'completed');
+
+    return {
+      session: {
+        id: sessionId,
+        name: getSessionDisplayName(sessionId, meta),
+        project: meta.project || null,
+        gitBranch: meta.gitBranch || null,
+        source: findSessionRoot(sessionId)?.label || meta.source || null,
+        createdAt: meta.created || null,
+        ...getPlanInfo(meta.slug),
+        taskCount: compared.length,
+        completed: compared.filter(t => t.status === 'completed').length,
+        inProgress: compared.filter(t => t.status === 'in_progress').length,
+        pending: compared.filter(t => t.status === 'pending').length,
+        // First task seen to last completion; null while any task is open or nothing was recorded
+        durationMs: allDone && created.length > 0 && completed.length > 0
+          ? Date.parse(completed[completed.length - 1]) - Date.parse(created[0])
+          : null,
+        timeInProgressMs: compared.reduce((sum, t) => sum + t.timeInProgressMs, 0),
+        orchestratorModel: orchestratorModel || null,
+        models: usage ? Object.entries(usage.byModel).map(([model, u]) => ({ model, usage: u, cost: costByModel({ [model]: u }) })) : [],
+        cost: usage ? usage.cost : null,
+        owners: [...new Set(compared.map(t => t.owner).filter(Boolean))],
+        subagentTypes: [...new Set(compared.map(t => t.subagentType).filter(Boolean))]
+      },
+      tasks: compared
+    };
+  });
+
+  return {
+    sessions: columns.map(c => c.session),
+    rows: alignTasksBySubject(columns.map(c => c.tasks))
+  };
+}
+
+// API: Compare two or more sessions side by side (?sessions=id1,id2,...)
+app.get('/api/compare', (req, res) => {
+  try {
+    const sessionIds = [...new Set(String(req.query.sessions || '').split(',').map(s => s.trim()).filter(Boolean))];
+    if (sessionIds.length < 2) return res.status(400).json({ error: 'Pass at least two session ids' });
+    if (sessionIds.length > COMPARE_MAX_SESSIONS) return res.status(400).json({ error: `Compare at most ${COMPARE_MAX_SESSIONS} sessions` });
+
+    const metadata = loadSessionMetadata();
+    const missing = sessionIds.find(id => !metadata[id] && !findSessionRoot(id));
+    if (missing) return res.status(404).json({ error: `Session ${missing} not found` });
+
+    res.json(buildSessionComparison(sessionIds, metadata));
+  } catch (error) {
+    console.error('Error comparing sessions:', error);
+    res.status(500).json({ error: 'Failed to compare sessions' });
+  }
+});
+
+/**
+ * Health checks for one session:
+ * - stalled: in_progress task whose file and transcripts haven't changed for idleMinutes
+ * - stale-block: pending task whose blockedBy tasks all completed more than idleMinutes ago
+ * - idle-member: team member (other than the lead) that owns no task
+ * - transcript-error / transcript-interrupted: the main conversation stopped on an API error or interrupt
+ * A session with no remaining tasks has finished and is always healthy.
+ */
+const HEALTH_IDLE_MINUTES = parseFloat(process.env.KANBAN_IDLE_MINUTES) || 15;
+const HEALTH_LEVELS = ['ok', 'warning', 'critical'];
+
+function latestTranscriptMtime(jsonlPath) {
+  if (!jsonlPath) return null;
+  let latest = null;
+  for (const filePath of [jsonlPath, ...listSubagentTranscripts(jsonlPath).map(s => s.filePath)]) {
+    try { latest = Math.max(latest || 0, statSync(filePath).mtimeMs); } catch (e) { /* skip */ }
+  }
+  return latest;
+}
+
+function computeSessionHealth(sessionId, tasks, meta, idleMinutes = HEALTH_IDLE_MINUTES) {
+  const issues = [];
+  if (!tasks.some(t => t.status !== 'completed')) return { level: 'ok', issues };
+
+  const idleCutoff = Date.now() - idleMinutes * 60000;
+  const taskMtime = id => {
+    try { return statSync(path.join(getSessionTasksDir(sessionId), `${id}.json`)).mtimeMs; } catch (e) { return null; }
+  };
+  const transcriptMtime = latestTranscriptMtime(meta.jsonlPath);
+
+  const stalled = tasks.filter(t => t.status === 'in_progress' &&
+    (taskMtime(t.id) || 0) < idleCutoff && (transcriptMtime || 0) < idleCutoff);
+  if (stalled.length > 0) {
+    issues.push({
+      type: 'stalled',
+      severity: 'critical',
+      taskIds: stalled.map(t => String(t.id)),
+      message: `${stalled.map(t => '#' + t.id).join(', ')} in progress with no task or transcript activity for ${idleMinutes}+ min`
+    });
+  }
+
+  const byId = new Map(tasks.map(t => [String(t.id), t]));
+  const staleBlocked = tasks.filter(t => t.status === 'pending' && t.blockedBy?.length > 0 &&
+    t.blockedBy.every(id => byId.get(String(id))?.status === 'completed') &&
+    Math.max(...t.blockedBy.map(id => taskMtime(id) || Infinity)) < idleCutoff);
+  if (staleBlocked.length > 0) {
+    issues.push({
+      type: 'stale-block',
+      severity: 'warning',
+      taskIds: staleBlocked.map(t => String(t.id)),
+      message: `${staleBlocked.map(t => '#' + t.id).join(', ')} still pending although every blocker completed`
+    });
+  }
+
+  const teamConfig = isTeamSession(sessionId) ? loadTeamConfig(sessionId) : null;
+  if (teamConfig) {
+    const owners = new Set(tasks.map(t => t.owner).filter(Boolean));
+    const idle = (teamConfig.members || []).filter(m => m.name &&
+      m.agentId !== teamConfig.leadAgentId && m.agentType !== 'team-lead' && !owners.has(m.name));
+    if (idle.length > 0) {
+      issues.push({
+        type: 'idle-member',
+        severity: 'warning',
+        members: idle.map(m => m.name),
+        message: `${idle.map(m => m.name).join(', ')} ${idle.length === 1 ? 'owns' : 'own'} no tasks`
+      });
+    }
+  }
+
+  const ending = meta.jsonlPath ? indexTranscript(meta.jsonlPath)?.state.ending : null;
+  if (ending) {
+    issues.push({
+      type: `transcript-${ending.kind}`,
+      severity: ending.kind === 'error' ? 'critical' : 'warning',
+      message: ending.kind === 'error' ? 'Conversation stopped on an API error' : 'Conversation was interrupted',
+      timestamp: ending.timestamp
+    });
+  }
+
+  const level = issues.some(i => i.severity === 'critical') ? 'critical' : (issues.length > 0 ? 'warning' : 'ok');
+  return { level, issues };
+}
+
+// API: Health summary across sessions (?project= to scope, ?idleMinutes= to override the stall window)
+app.get('/api/health', (req, res) => {
+  try {
+    const idleMinutes = parseFloat(req.query.idleMinutes) || HEALTH_IDLE_MINUTES;
+    const metadata = loadSessionMetadata();
+    const totals = { ok: 0, warning: 0, critical: 0 };
+    const unhealthy = [];
+
+    for (const sessionId of listSessionIds()) {
+      const meta = metadata[sessionId] || {};
+      if (req.query.project && meta.project !== req.query.project) continue;
+      const health = computeSessionHealth(sessionId, readSessionTasks(sessionId) || [], meta, idleMinutes);
+      totals[health.level]++;
+      if (health.level !== 'ok') {
+        unhealthy.push({
+          id: sessionId,
+          name: getSessionDisplayName(sessionId, meta),
+          project: meta.project || null,
+          ...health
+        });
+      }
+    }
+
+    unhealthy.sort((a, b) => HEALTH_LEVELS.indexOf(b.level) - HEALTH_LEVELS.indexOf(a.level));
+    res.json({ checkedAt: new Date().toISOString(), idleMinutes, totals, sessions: unhealthy });
+  } catch (error) {
+    console.error('Error computing health:', error);
+    res.status(500).json({ error: 'Failed to compute health' });
+  }
+});
+
+/**
+ * Prometheus metrics in the text exposition format. Gauges are read from the watcher's per-session
+ * status counters on each scrape; counters and histograms count what the viewer observed since it
+ * started. Project, session and team labels keep the METRICS_MAX_LABEL_VALUES largest values and fold
+ * the rest into "other", and per-session series only cover sessions with open tasks, so hundreds of
+ * sessions still produce a bounded number of series.
+ */
+const METRICS_PREFIX = 'kanban_';
+const METRICS_MAX_LABEL_VALUES = 20;
+const METRICS_OTHER_LABEL = 'other';
+const IN_PROGRESS_BUCKETS = [60, 300, 900, 1800, 3600, 7200, 14400, 28800]; // seconds
+const METADATA_REFRESH_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]; // seconds
+
+function newHistogram(buckets) {
+  return { buckets, counts: buckets.map(() => 0), sum: 0, count: 0 };
+}
+
+function observeHistogram(histogram, value) {
+  histogram.buckets.forEach((le, i) => { if (value <= le) histogram.counts[i]++; });
+  histogram.sum += value;
+  histogram.count++;
+}
+
+const metrics = {
+  taskCompletions: 0,
+  timeInProgress: newHistogram(IN_PROGRESS_BUCKETS),
+  metadataRefresh: newHistogram(METADATA_REFRESH_BUCKETS)
+};
+
+// Called by the watcher when a task moves to completed: counts it and observes its time in progress
+function recordTaskCompletion(sessionId, taskId) {
+  metrics.taskCompletions++;
+  const events = loadTaskHistory(sessionId).events.filter(e => e.taskId === taskId);
+  observeHistogram(metrics.timeInProgress, computeTaskTimings(events).timeInProgressMs / 1000);
+}
+
+function metricLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) =>
+    `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Keep the `limit` largest keys of a Map<key, number>; the rest are summed under "other"
+function capLabelValues(totals, limit = METRICS_MAX_LABEL_VALUES) {
+  const sorted = [...totals.entries()].sort((a, b) => b[1] - a[1]);
+  const kept = new Set(sorted.slice(0, limit).map(([key]) => key));
+  return key => kept.has(key) ? key : METRICS_OTHER_LABEL;
+}
+
+function renderMetric(lines, name, type, help, samples) {
+  lines.push(`# HELP ${METRICS_PREFIX}${name} ${help}`, `# TYPE ${METRICS_PREFIX}${name} ${type}`);
+  for (const { labels = {}, value } of samples) lines.push(`${METRICS_PREFIX}${name}${metricLabels(labels)} ${value}`);
+}
+
+function renderHistogram(lines, name, help, histogram) {
+  const samples = histogram.buckets.map((le, i) => ({ suffix: '_bucket', labels: { le }, value: histogram.counts[i] }));
+  samples.push(
+    { suffix: '_bucket', labels: { le: '+Inf' }, value: histogram.count },
+    { suffix: '_sum', value: histogram.sum },
+    { suffix: '_count', value: histogram.count }
+  );
+  lines.push(`# HELP ${METRICS_PREFIX}${name} ${help}`, `# TYPE ${METRICS_PREFIX}${name} histogram`);
+  for (const { suffix, labels = {}, value } of samples) lines.push(`${METRICS_PREFIX}${name}${suffix}${metricLabels(labels)} ${value}`);
+}
+
+function buildMetrics() {
+  const metadata = loadSessionMetadata();
+  const sessions = listSessionIds().map(sessionId => {
+    const project = metadata[sessionId]?.project;
+    return { sessionId, project: project ? path.basename(project) : 'none', counters: sessionCounters(sessionId) };
+  });
+  const open = sessions.filter(s => s.counters.pending + s.counters.inProgress > 0);
+
+  const projectTotals = new Map();
+  for (const s of sessions) projectTotals.set(s.project, (projectTotals.get(s.project) || 0) + s.counters.taskCount);
+  const projectLabel = capLabelValues(projectTotals);
+  const openSessionLabel = capLabelValues(new Map(open.map(s => [s.sessionId, s.counters.pending + s.counters.inProgress])));
+
+  // status -> label value -> count
+  const tally = (list, labelOf) => {
+    const counts = new Map();
+    for (const s of list) {
+      const label = labelOf(s);
+      const row = counts.get(label) || { pending: 0, in_progress: 0, completed: 0 };
+      row.pending += s.counters.pending;
+      row.in_progress += s.counters.inProgress;
+      row.completed += s.counters.completed;
+      counts.set(label, row);
+    }
+    return [...counts.entries()].flatMap(([label, row]) =>
+      Object.entries(row).map(([status, value]) => ({ label, status, value })));
+  };
+
+  const teamSizes = new Map([...teamMembers.entries()].map(([team, names]) => [team, names.size]));
+  const teamLabel = capLabelValues(teamSizes);
+  const teamTotals = new Map();
+  for (const [team, size] of teamSizes) teamTotals.set(teamLabel(team), (teamTotals.get(teamLabel(team)) || 0) + size);
+
+  const lines = [];
+  renderMetric(lines, 'tasks', 'gauge', 'Tasks by status and project (project directory name).',
+    tally(sessions, s => projectLabel(s.project)).map(({ label, status, value }) => ({ labels: { project: label, status }, value })));
+  renderMetric(lines, 'session_tasks', 'gauge', 'Tasks by status for sessions with pending or in-progress tasks.',
+    tally(open, s => openSessionLabel(s.sessionId)).map(({ label, status, value }) => ({ labels: { session: label, status }, value })));
+  renderMetric(lines, 'sessions', 'gauge', 'Sessions with task lists; active ones have pending or in-progress tasks.', [
+    { labels: { state: 'active' }, value: open.length },
+    { labels: { state: 'inactive' }, value: sessions.length - open.length }
+  ]);
+  renderMetric(lines, 'team_members', 'gauge', 'Members per agent team.',
+    [...teamTotals.entries()].map(([team, value]) => ({ labels: { team }, value })));
+  renderMetric(lines, 'task_completions_total', 'counter', 'Tasks seen moving to completed since the viewer started.',
+    [{ value: metrics.taskCompletions }]);
+  renderHistogram(lines, 'task_time_in_progress_seconds', 'Time in progress of tasks completed since the viewer started.',
+    metrics.timeInProgress);
+  renderMetric(lines, 'sse_clients', 'gauge', 'Connected server-sent event clients.', [{ value: clients.size }]);
+  renderHistogram(lines, 'metadata_refresh_duration_seconds', 'Time taken to rescan session metadata from the transcripts.',
+    metrics.metadataRefresh);
+  return lines.join('\n') + '\n';
+}
+
+// API: Prometheus scrape endpoint (behind the same auth as the board; scrape with a bearer token)
+app.get('/metrics', (req, res) => {
+  try {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8').send(buildMetrics());
+  } catch (error) {
+    console.error('Error building metrics:', error);
+    res.status(500).json({ error: 'Failed to build metrics' });
+  }
+});
+
+/**
+ * Session exports. buildSessionExport gathers a session's tasks (with notes split out of the
+ * description, dependencies and agent attribution), its plan and usage; the render functions
+ * turn one or more of those into Markdown, JSON, CSV or a self-contained HTML snapshot.
+ */
+const EXPORT_FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', ext: 'md' },
+  json: { contentType: 'application/json; charset=utf-8', ext: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', ext: 'csv' },
+  html: { contentType: 'text/html; charset=utf-8', ext: 'html' }
+};
+const NOTE_SEPARATOR = '\n\n---\n\n#### [Note added by user]\n\n';
+const EXPORT_STATUSES = [['pending', 'Pending'], ['in_progress', 'In Progress'], ['completed', 'Completed']];
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function buildSessionExport(sessionId, metadata) {
+  const meta = metadata[sessionId];
+  const tasks = readSessionTasks(sessionId);
+  if (!tasks && !meta) return null;
+
+  enrichTasksWithAgents(tasks || [], meta?.jsonlPath);
+  const { usage } = loadSessionSubagentMap(meta?.jsonlPath);
+
+  const plan = readPlanSnapshot(meta?.slug);
+
+  const exported = (tasks || []).map(task => {
+    const [description, ...notes] = (task.description || '').split(NOTE_SEPARATOR);
+    return {
+      id: String(task.id),
+      subject: task.subject || '',
+      status: task.status,
+      owner: task.owner || null,
+      activeForm: task.activeForm || null,
+      blockedBy: task.blockedBy || [],
+      blocks: task.blocks || [],
+      description,
+      notes: notes.map(n => n.trim()),
+      subagentType: task.subagentType || null,
+      model: task.model || null,
+      attribution: task.attribution || null,
+      usage: task.usage || null,
+      cost: task.cost ?? null
+    };
+  });
+
+  return {
+    session: {
+      id: sessionId,
+      name: getSessionDisplayName(sessionId, meta),
+      project: meta?.project || null,
+      gitBranch: meta?.gitBranch || null,
+      description: meta?.description || null,
+      createdAt: meta?.created || null,
+      taskCount: exported.length,
+      completed: exported.filter(t => t.status === 'completed').length,
+      usage: usage ? usage.total : null,
+      cost: usage ? usage.cost : null
+    },
+    plan,
+    tasks: exported
+  };
+}
+
+function formatExportAgent(task) {
+  return [task.subagentType, task.model ? task.model.replace(/^claude-/, '') : null].filter(Boolean).join(' · ');
+}
+
+function formatExportCost(cost) {
+  return cost === null || cost === undefined ? '' : `$${cost.toFixed(cost < 1 ? 4 : 2)}`;
+}
+
+function renderExportMarkdown(exports, title, bulk) {
+  const mdCell = text => String(text ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const out = [`# ${title}`, '', `Exported ${new Date().toISOString()}`, ''];
+
+  const heading = bulk ? '###' : '##';
+
+  for (const { session, plan, tasks } of exports) {
+    if (bulk) out.push(`## ${session.name || session.id}`, '');
+    if (session.project) out.push(`- Project: ${session.project}`);
+    if (session.gitBranch) out.push(`- Branch: ${session.gitBranch}`);
+    out.push(`- Session ID: ${session.id}`);
+    out.push(`- Progress: ${session.completed}/${session.taskCount} completed`);
+    if (session.usage) {
+      const total = session.usage.inputTokens + session.usage.outputTokens + session.usage.cacheReadTokens + session.usage.cacheCreationTokens;
+      out.push(`- Tokens: ${total}${session.cost !== null ? ` (est. ${formatExportCost(session.cost)})` : ''}`);
+    }
+    out.push('');
+
+    if (tasks.length > 0) {
+      out.push('| # | Status | Subject | Owner | Blocked by | Agent |', '|---|---|---|---|---|---|');
+      for (const t of tasks) {
+        out.push(`| ${t.id} | ${t.status} | ${mdCell(t.subject)} | ${mdCell(t.owner || '')} | ${t.blockedBy.map(id => '#' + id).join(', ')} | ${mdCell(formatExportAgent(t))} |`);
+      }
+      out.push('');
+      for (const t of tasks) {
+        out.push(`${heading} #${t.id} ${t.subject}`, '');
+        const facts = [`**Status:** ${t.status}`];
+        if (t.owner) facts.push(`**Owner:** ${t.owner}`);
+        if (formatExportAgent(t)) facts.push(`**Agent:** ${formatExportAgent(t)}`);
+        if (t.blockedBy.length > 0) facts.push(`**Blocked by:** ${t.blockedBy.map(id => '#' + id).join(', ')}`);
+        if (t.blocks.length > 0) facts.push(`**Blocks:** ${t.blocks.map(id => '#' + id).join(', ')}`);
+        out.push(facts.join(' · '), '');
+        if (t.description.trim()) out.push(t.description.trim(), '');
+        if (t.notes.length > 0) {
+          out.push('**Notes**', '');
+          for (const note of t.notes) out.push(note.split('\n').map(l => `> ${l}`).join('\n'), '');
+        }
+      }
+    }
+
+    if (plan) out.push(`${heading} Plan${plan.title ? `: ${plan.title}` : ''}`, '', plan.content.trim(), '');
+  }
+  return out.join('\n');
+}
+
+function renderExportCsv(exports) {
+  // Quote every cell; prefix formula-like values so spreadsheets don't evaluate them
+  const csvCell = value => {
+    let text = String(value ?? '');
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return `"${text.replace(/"/g, '""')}"`;
+  };
+  const header = ['session_id', 'session_name', 'project', 'task_id', 'subject', 'status', 'owner', 'blocked_by', 'blocks',
+    'subagent_type', 'model', 'attribution', 'cost_usd', 'notes', 'description'];
+  const rows = [header.join(',')];
+  for (const { session, tasks } of exports) {
+    for (const t of tasks) {
+      rows.push([
+        session.id, session.name, session.project, t.id, t.subject, t.status, t.owner,
+        t.blockedBy.join(' '), t.blocks.join(' '), t.subagentType, t.model,
+        t.attribution ? `${t.attribution.source}/${t.attribution.confidence}` : '',
+        t.cost ?? '', t.notes.join('\n---\n'), t.description
+      ].map(csvCell).join(','));
+    }
+  }
+  return rows.join('\r\n') + '\r\n';
+}
+
+function renderExportHtml(exports, title, bulk) {
+  const sections = exports.map(({ session, plan, tasks }) => {
+    const card = t => `
+        <a class="card" href="#task-${escapeHtml(session.id)}-${escapeHtml(t.id)}">
+          <div class="card-id">#${escapeHtml(t.id)}${t.owner ? ` · ${escapeHtml(t.owner)}` : ''}</div>
+          <div class="card-subject">${escapeHtml(t.subject)}</div>
+          ${formatExportAgent(t) ? `<div class="card-meta">${escapeHtml(formatExportAgent(t))}</div>` : ''}
+          ${t.blockedBy.length > 0 ? `<div class="card-meta">Waiting on ${t.blockedBy.map(id => '#' + escapeHtml(id)).join(', ')}</div>` : ''}
+        </a>`;
+    const board = EXPORT_STATUSES.map(([status, label]) => {
+      const column = tasks.filter(t => (t.status || 'pending') === status);
+      return `<div class="column"><h3>${label} <span>${column.length}</span></h3>${column.map(card).join('')}</div>`;
+    }).join('');
+    const details = tasks.map(t => `
+      <div class="detail" id="task-${escapeHtml(session.id)}-${escapeHtml(t.id)}">
+        <h4>#${escapeHtml(t.id)} ${escapeHtml(t.subject)}</h4>
+        <div class="facts">${escapeHtml([
+          t.status,
+          t.owner ? `owner ${t.owner}` : null,
+          formatExportAgent(t) || null,
+          t.blockedBy.length > 0 ? `blocked by ${t.blockedBy.map(id => '#' + id).join(', ')}` : null,
+          t.blocks.length > 0 ? `blocks ${t.blocks.map(id => '#' + id).join(', ')}` : null
+        ].filter(Boolean).join(' · '))}</div>
+        ${t.description.trim() ? `<pre>${escapeHtml(t.description.trim())}</pre>` : ''}
+        ${t.notes.map(n => `<blockquote>${escapeHtml(n)}</blockquote>`).join('')}
+      </div>`).join('');
+    const facts = [
+      session.project,
+      session.gitBranch ? `branch ${session.gitBranch}` : null,
+      `${session.completed}/${session.taskCount} completed`,
+      session.cost !== null ? `est. ${formatExportCost(session.cost)}` : null
+    ].filter(Boolean).join(' · ');
+
+    return `
+    <section>
+      ${bulk ? `<h2>${escapeHtml(session.name || session.id)}</h2>` : ''}
+      <div class="facts">${escapeHtml(facts)}</div>
+      <div class="board">${board}</div>
+      ${details}
+      ${plan ? `<h3>Plan${plan.title ? `: ${escapeHtml(plan.title)}` : ''}</h3><pre class="plan">${escapeHtml(plan.content)}</pre>` : ''}
+    </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: ui-monospace, 'IBM Plex Mono', monospace; font-size: 13px; color: #1e2025; background: #f6f6f4; margin: 0; padding: 24px 32px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 17px; margin: 32px 0 4px; }
+  h3 { font-size: 13px; margin: 16px 0 8px; }
+  h3 span { color: #7d808a; font-weight: normal; }
+  h4 { font-size: 13px; margin: 0 0 4px; }
+  .facts { color: #6b6e76; font-size: 12px; margin-bottom: 12px; }
+  .board { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; margin-bottom: 20px; }
+  .column { background: #ecece8; border-radius: 8px; padding: 8px 10px; }
+  .column h3 { margin: 4px 0 8px; }
+  .card { display: block; background: #fff; border: 1px solid #ddd; border-radius: 6px; padding: 8px 10px; margin-bottom: 8px; color: inherit; text-decoration: none; }
+  .card-id, .card-meta { font-size: 11px; color: #7d808a; }
+  .card-subject { margin: 2px 0; }
+  .detail { background: #fff; border: 1px solid #ddd; border-radius: 6px; padding: 10px 14px; margin-bottom: 10px; }
+  pre { white-space: pre-wrap; word-break: break-word; font-family: inherit; margin: 8px 0 0; }
+  pre.plan { background: #fff; border: 1px solid #ddd; border-radius: 6px; padding: 12px 14px; }
+  blockquote { margin: 8px 0 0; padding: 6px 10px; border-left: 3px solid #E86F33; background: #fbf3ee; white-space: pre-wrap; }
+</style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="facts">Exported ${escapeHtml(new Date().toISOString())}</div>
+  ${sections}
+</body>
+</html>
+`;
+}
+
+// bulk exports wrap the sessions (JSON) or give each its own heading (Markdown, HTML)
+function renderExport(format, exports, { title, bulk }) {
+  if (format === 'json') return JSON.stringify(bulk ? { title, exportedAt: new Date().toISOString(), sessions: exports } : exports[0], null, 2);
+  if (format === 'md') return renderExportMarkdown(exports, title, bulk);
+  if (format === 'csv') return renderExportCsv(exports);
+  return renderExportHtml(exports, title, bulk);
+}
+
+// Every session of a project, oldest first
+function buildProjectExports(project, metadata) {
+  const exports = [];
+  for (const sessionId of listSessionIds()) {
+    if (metadata[sessionId]?.project !== project) continue;
+    const data = buildSessionExport(sessionId, metadata);
+    if (data) exports.push(data);
+  }
+  return exports.sort((a, b) => String(a.session.createdAt || '').localeCompare(String(b.session.createdAt || '')));
+}
+
+function sendExport(res, format, exports, { title, filename, bulk }) {
+  const { contentType, ext } = EXPORT_FORMATS[format];
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/[^\w.-]+/g, '-')}.${ext}"`);
+  res.send(renderExport(format, exports, { title, bulk }));
+}
+
+// API: Export a session (?format=md|json|csv|html)
+app.get('/api/sessions/:sessionId/export', (req, res) => {
+  try {
+    const format = req.query.format || 'md';
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `Unknown format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    const sessionId = req.params.sessionId;
+    const data = buildSessionExport(sessionId, loadSessionMetadata());
+    if (!data) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    const name = data.session.name || sessionId;
+    sendExport(res, format, [data], { title: `Session: ${name}`, filename: `${name}-${sessionId.slice(0, 8)}`, bulk: false });
+  } catch (error) {
+    console.error('Error exporting session:', error);
+    res.status(500).json({ error: 'Failed to export session' });
+  }
+});
+
+// API: Export every session with tasks in a project (?project=&format=md|json|csv|html)
+app.get('/api/export', (req, res) => {
+  try {
+    const format = req.query.format || 'md';
+    const project = req.query.project;
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `Unknown format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    if (!project) {
+      return res.status(400).json({ error: 'project is required' });
+    }
+
+    const exports = buildProjectExports(project, loadSessionMetadata());
+    const projectName = project.split(/[/\\]/).pop();
+    sendExport(res, format, exports, { title: `Project: ${projectName}`, filename: `${projectName}-export`, bulk: true });
+  } catch (error) {
+    console.error('Error exporting project:', error);
+    res.status(500).json({ error: 'Failed to export project' });
+  }
+});
+
+/**
+ * Full-text search: an in-memory inverted index over task subject/description/activeForm and plan
+ * markdown, built on the first search and kept fresh by the file watchers. Transcript text (user and
+ * assistant messages of main session transcripts) is only indexed once a search asks for it.
+ * Session name, project and branch are resolved at query time, so metadata changes need no reindex.
+ */
+const SEARCH_OPERATORS = ['status', 'owner', 'project', 'branch', 'session', 'type'];
+const SEARCH_STATUS_ALIASES = { 'in-progress': 'in_progress', inprogress: 'in_progress', active: 'in_progress', todo: 'pending', open: 'pending', done: 'completed' };
+const SEARCH_TITLE_WEIGHT = 3;
+const SEARCH_PREFIX_FACTOR = 0.5;
+const SEARCH_DEFAULT_LIMIT = 50;
+const SEARCH_MAX_LIMIT = 500;
+const SEARCH_SNIPPET_RADIUS = 80;
+const SEARCH_TRANSCRIPT_TEXT_LIMIT = 256 * 1024; // kept per transcript for snippets; later text is still indexed
+
+const searchDocs = new Map(); // key -> { key, type, sessionId, taskId, slug, title, text, status, owner, weights: Map<term, weight> }
+const searchPostings = new Map(); // term -> Set<key>
+let searchIndexBuilt = false;
+let searchTranscriptsIndexed = false;
+
+function tokenize(text) {
+  return (text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+function termWeights(title, body) {
+  const weights = new Map();
+  for (const term of tokenize(title)) weights.set(term, (weights.get(term) || 0) + SEARCH_TITLE_WEIGHT);
+  for (const term of tokenize(body)) weights.set(term, (weights.get(term) || 0) + 1);
+  return weights;
+}
+
+function addPosting(term, key) {
+  let keys = searchPostings.get(term);
+  if (!keys) searchPostings.set(term, keys = new Set());
+  keys.add(key);
+}
+
+function removeSearchDoc(key) {
+  const doc = searchDocs.get(key);
+  if (!doc) return;
+  for (const term of doc.weights.keys()) {
+    const keys = searchPostings.get(term);
+    keys.delete(key);
+    if (keys.size === 0) searchPostings.delete(term);
+  }
+  searchDocs.delete(key);
+}
+
+function addSearchDoc(doc) {
+  removeSearchDoc(doc.key);
+  searchDocs.set(doc.key, doc);
+  for (const term of doc.weights.keys()) addPosting(term, doc.key);
+}
+
+// Pass task = null when the file is gone
+function indexSearchTask(sessionId, taskId, task) {
+  const key = `task:${sessionId}/${taskId}`;
+  if (!task) return removeSearchDoc(key);
+  const text = [task.description, task.activeForm].filter(Boolean).join('\n\n');
+  addSearchDoc({
+    key,
+    type: 'task',
+    sessionId,
+    taskId,
+    title: task.subject || '',
+    text,
+    status: task.status || null,
+    owner: task.owner || null,
+    weights: termWeights(task.subject, text)
+  });
+}
+
+function indexSearchPlan(slug) {
+  const key = `plan:${slug}`;
+  const plan = readPlanSnapshot(slug);
+  if (!plan) return removeSearchDoc(key);
+  addSearchDoc({ key, type: 'plan', slug, title: plan.title || slug, text: plan.content, weights: termWeights(plan.title, plan.content) });
+}
+
+function transcriptLineText(line) {
+  let d;
+  try {
+    d = JSON.parse(line);
+  } catch (e) {
+    return null;
+  }
+  if ((d.type !== 'user' && d.type !== 'assistant') || d.isMeta) return null;
+  const content = d.message?.content;
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return null;
+  return content.filter(c => c.type === 'text' && c.text).map(c => c.text).join('\n') || null;
+}
+
+// Transcripts only grow, so new lines are appended to the existing document; a file that shrank is reindexed
+function indexSearchTranscript(sessionId, jsonlPath) {
+  const key = `transcript:${sessionId}`;
+  let size;
+  try {
+    size = statSync(jsonlPath).size;
+  } catch (e) {
+    return removeSearchDoc(key);
+  }
+
+  let doc = searchDocs.get(key);
+  if (!doc || size < doc.offset) {
+    doc = { key, type: 'transcript', sessionId, title: 'Transcript', text: '', offset: 0, weights: new Map() };
+    addSearchDoc(doc);
+  }
+  if (size === doc.offset) return;
+
+  try {
+    doc.offset = readAppendedLines(jsonlPath, doc.offset, line => {
+      const text = transcriptLineText(line);
+      if (!text) return;
+      if (doc.text.length < SEARCH_TRANSCRIPT_TEXT_LIMIT) {
+        doc.text += (doc.text ? '\n\n' : '') + text.slice(0, SEARCH_TRANSCRIPT_TEXT_LIMIT - doc.text.length);
+      }
+      for (const term of tokenize(text)) {
+        if (!doc.weights.has(term)) addPosting(term, key);
+        doc.weights.set(term, (doc.weights.get(term) || 0) + 1);
+      }
+    });
+  } catch (e) {
+    console.error(`Error indexing transcript text ${jsonlPath}:`, e);
+  }
+}
+
+function ensureSearchIndex(includeTranscripts) {
+  if (!searchIndexBuilt) {
+    for (const sessionId of listSessionIds()) {
+      const sessionPath = getSessionTasksDir(sessionId);
+      for (const taskId of listSessionTaskIds(sessionId)) {
+        try {
+          indexSearchTask(sessionId, taskId, JSON.parse(readFileSync(path.join(sessionPath, `${taskId}.json`), 'utf8')));
+        } catch (e) {
+          // Skip invalid files
+        }
+      }
+    }
+    for (const root of CLAUDE_ROOTS) {
+      if (!existsSync(root.plansDir)) continue;
+      for (const file of readdirSync(root.plansDir).filter(f => f.endsWith('.md'))) indexSearchPlan(path.basename(file, '.md'));
+    }
+    searchIndexBuilt = true;
+  }
+
+  if (includeTranscripts && !searchTranscriptsIndexed) {
+    for (const [sessionId, meta] of Object.entries(loadSessionMetadata())) {
+      if (meta.jsonlPath) indexSearchTranscript(sessionId, meta.jsonlPath);
+    }
+    searchTranscriptsIndexed = true;
+  }
+}
+
+/**
+ * Query syntax: bare words must all match (the words are also matched as prefixes), "quoted phrases"
+ * must appear verbatim, -word excludes, and status:/owner:/project:/branch:/session:/type: filter.
+ * Repeating an operator ORs its values; -operator:value excludes.
+ */
+function parseSearchQuery(q) {
+  const query = { terms: [], phrases: [], exclude: [], filters: {} };
+  for (const [, negate, op, quoted, word] of q.matchAll(/(-?)(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g)) {
+    const value = quoted ?? word;
+    const operator = op?.toLowerCase();
+    if (SEARCH_OPERATORS.includes(operator)) {
+      const filter = query.filters[operator] ||= { include: [], exclude: [] };
+      let normalized = value.toLowerCase();
+      if (operator === 'status') normalized = SEARCH_STATUS_ALIASES[normalized] || normalized;
+      (negate ? filter.exclude : filter.include).push(normalized);
+      continue;
+    }
+    // Unknown operators (e.g. a URL scheme) are searched as plain text
+    const terms = tokenize(op ? `${op}:${value}` : value);
+    if (negate) {
+      query.exclude.push(...terms);
+    } else {
+      query.terms.push(...terms);
+      if (quoted !== undefined && terms.length > 1) query.phrases.push(quoted.toLowerCase());
+    }
+  }
+  return query;
+}
+
+function matchesSearchFilters(doc, filters, sessionsForDoc, metadata) {
+  const check = (filter, test) => {
+    if (!filter) return true;
+    if (filter.include.length > 0 && !filter.include.some(test)) return false;
+    return !filter.exclude.some(test);
+  };
+  const sessionField = (field) => (value) => sessionsForDoc.some(id => (metadata[id]?.[field] || '').toLowerCase().includes(value));
+
+  return check(filters.type, v => doc.type === v)
+    && check(filters.status, v => doc.status === v)
+    && check(filters.owner, v => (doc.owner || '').toLowerCase().includes(v))
+    && check(filters.project, sessionField('project'))
+    && check(filters.branch, sessionField('gitBranch'))
+    && check(filters.session, v => sessionsForDoc.some(id =>
+      id.startsWith(v) || (getSessionDisplayName(id, metadata[id]) || '').toLowerCase().includes(v)));
+}
+
+function searchSnippet(text, terms) {
+  if (!text) return '';
+  const lower = text.toLowerCase();
+  let at = -1;
+  for (const term of terms) {
+    const i = lower.indexOf(term);
+    if (i !== -1 && (at === -1 || i < at)) at = i;
+  }
+  const start = Math.max(0, at - SEARCH_SNIPPET_RADIUS);
+  const end = start + SEARCH_SNIPPET_RADIUS * 2;
+  const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+function runSearch(query, includeTranscripts) {
+  const metadata = loadSessionMetadata();
+  const sessionsBySlug = new Map();
+  for (const [sessionId, meta] of Object.entries(metadata)) {
+    if (!meta.slug) continue;
+    if (!sessionsBySlug.has(meta.slug)) sessionsBySlug.set(meta.slug, []);
+    sessionsBySlug.get(meta.slug).push(sessionId);
+  }
+
+  // Score every document that matches each term exactly or by prefix: weight * idf, prefixes discounted
+  const docCount = searchDocs.size || 1;
+  let scores = null;
+  for (const term of query.terms) {
+    const termScores = new Map();
+    for (const [indexed, keys] of searchPostings) {
+      const factor = indexed === term ? 1 : (term.length > 1 && indexed.startsWith(term) ? SEARCH_PREFIX_FACTOR : 0);
+      if (!factor) continue;
+      const idf = Math.log(1 + docCount / keys.size);
+      for (const key of keys) {
+        termScores.set(key, (termScores.get(key) || 0) + searchDocs.get(key).weights.get(indexed) * idf * factor);
+      }
+    }
+    if (scores) {
+      for (const [key, score] of scores) {
+        if (termScores.has(key)) scores.set(key, score + termScores.get(key));
+        else scores.delete(key);
+      }
+    } else {
+      scores = termScores;
+    }
+  }
+  // Operator-only queries (e.g. "status:in_progress") list every matching document
+  if (!scores) scores = new Map([...searchDocs.keys()].map(key => [key, 0]));
+
+  const results = [];
+  for (const [key, score] of scores) {
+    const doc = searchDocs.get(key);
+    if (doc.type === 'transcript' && !includeTranscripts) continue;
+    if (query.exclude.some(term => doc.weights.has(term))) continue;
+    if (query.phrases.length > 0) {
+      const haystack = `${doc.title}\n${doc.text}`.toLowerCase().replace(/\s+/g, ' ');
+      if (!query.phrases.every(phrase => haystack.includes(phrase.replace(/\s+/g, ' ')))) continue;
+    }
+    const sessionIds = doc.type === 'plan' ? (sessionsBySlug.get(doc.slug) || []) : [doc.sessionId];
+    if (!matchesSearchFilters(doc, query.filters, sessionIds, metadata)) continue;
+
+    const sessionId = sessionIds[0] || null;
+    const meta = metadata[sessionId] || {};
+    results.push({
+      type: doc.type,
+      sessionId,
+      sessionIds,
+      sessionName: sessionId ? getSessionDisplayName(sessionId, meta) : null,
+      project: meta.project || null,
+      gitBranch: meta.gitBranch || null,
+      taskId: doc.taskId || null,
+      slug: doc.slug || null,
+      title: doc.title,
+      status: doc.status || null,
+      owner: doc.owner || null,
+      snippet: searchSnippet(doc.text, query.terms),
+      score: Math.round(score * 100) / 100
+    });
+  }
+
+  results.sort((a, b) => b.score - a.score || (a.sessionId || '').localeCompare(b.sessionId || '') || parseInt(a.taskId) - parseInt(b.taskId));
+  return results;
+}
+
+// API: Full-text search over tasks and plans (?q=, ?limit=, ?transcripts=1 to include transcript text)
+app.get('/api/search', (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    if (!q) return res.json({ query: q, terms: [], total: 0, results: [] });
+
+    const query = parseSearchQuery(q);
+    const includeTranscripts = req.query.transcripts === '1' || !!query.filters.type?.include.includes('transcript');
+    ensureSearchIndex(includeTranscripts);
+
+    const requestedLimit = parseInt(req.query.limit, 10);
+    const limit = Number.isNaN(requestedLimit) ? SEARCH_DEFAULT_LIMIT : Math.min(Math.max(requestedLimit, 1), SEARCH_MAX_LIMIT);
+    const results = runSearch(query, includeTranscripts);
+    res.json({ query: q, terms: query.terms, total: results.length, results: results.slice(0, limit) });
+  } catch (error) {
+    console.error('Error searching:', error);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
+// API: Open session plan in VS Code
+app.post('/api/sessions/:sessionId/plan/open', (req, res) => {
+  try {
+    const metadata = loadSessionMetadata();
+    const meta = metadata[req.params.sessionId];
+    const slug = meta?.slug;
+    if (!slug) return res.status(404).json({ error: 'No plan found' });
+
+    const planPath = findPlanPath(slug);
+    if (!planPath) return res.status(404).json({ error: 'No plan found' });
+
+    // No shell on POSIX, so nothing in the editor setting or the path is interpreted as a command
+    const [command, ...args] = (process.env.EDITOR || 'code').trim().split(/\s+/);
+    const useShell = process.platform === 'win32'; // editors are often .cmd shims there
+    const child = require('child_process').spawn(command, [...args, useShell ? `"${planPath}"` : planPath], {
+      detached: true,
+      stdio: 'ignore',
+      shell: useShell
+    });
+    child.on('error', (error) => console.error('Error launching editor:', error.message));
+    child.unref();
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error opening plan in VS Code:', error);
+    res.status(500).json({ error: 'Failed to open plan' });
+  }
+});
+
+// API: Get team config
+app.get('/api/teams/:name', (req, res) => {
+  const config = loadTeamConfig(req.params.name);
+  if (!config) return res.status(404).json({ error: 'Team not found' });
+  res.json(config);
+});
+
+app.get('/api/version', (req, res) => {
+  const pkg = require('./package.json');
+  res.json({ version: pkg.version });
+});
+
+// API: Client configuration — whether writes are allowed and the CSRF token they must carry
+app.get('/api/config', (req, res) => {
+  res.json({
+    readOnly: READ_ONLY,
+    csrfToken: READ_ONLY ? null : CSRF_TOKEN,
+    auth: AUTH_TOKEN ? 'token' : (BASIC_AUTH ? 'basic' : null),
+    roots: CLAUDE_ROOTS.map(r => r.label)
+  });
+});
+
+// API: Get all tasks across all sessions
+app.get('/api/tasks/all', async (req, res) => {
+  try {
+    const metadata = loadSessionMetadata();
+    const allTasks = [];
+
+    for (const sessionId of listSessionIds()) {
+      const sessionPath = getSessionTasksDir(sessionId);
+      const taskFiles = readdirSync(sessionPath).filter(f => f.endsWith('.json'));
+      const meta = metadata[sessionId] || {};
+      const sessionTasks = [];
+
+      for (const file of taskFiles) {
+        try {
+          const content = readFileSync(path.join(sessionPath, file), 'utf8');
+          sessionTasks.push({
+            ...JSON.parse(content),
+            etag: trackTaskVersion(content),
+            sessionId,
+            sessionName: getSessionDisplayName(sessionId, meta),
+            project: meta.project || null
+          });
+        } catch (e) {
+          // Skip invalid files
+        }
+      }
+
+      // Attribution is only needed to find each in-progress task's transcript; the list itself stays unenriched
+      const active = sessionTasks.filter(t => t.status === 'in_progress');
+      if (active.length > 0 && meta.jsonlPath) {
+        const enriched = attachTaskActivity(enrichTasksWithAgents(active.map(t => ({ ...t })), meta.jsonlPath), meta.jsonlPath);
+        enriched.forEach((t, i) => { if (t.activity) active[i].activity = t.activity; });
+      }
+      allTasks.push(...sessionTasks);
+    }
+
+    res.json(allTasks);
+  } catch (error) {
+    console.error('Error getting all tasks:', error);
+    res.status(500).json({ error: 'Failed to get all tasks' });
+  }
+});
+
+/**
+ * Optimistic concurrency for task writes. A task's ETag is a hash of its file; clients get it as
+ * each task's `etag` and send it back as If-Match. When the file changed in between (usually
+ * Claude updating the same task), an edit is merged onto the current version if the other writer
+ * left the fields it sets alone, judged against the version the client saw; otherwise it is
+ * rejected with 409 and the current task. Task files are written to a temp file and renamed into
+ * place, so Claude and the watcher never read half a task.
+ */
+const TASK_VERSION_CACHE_SIZE = 2000;
+const taskVersions = new Map(); // etag -> task as it was, for versions clients may still hold
+
+function taskEtag(content) {
+  return `"${crypto.createHash('sha1').update(content).digest('hex').slice(0, 16)}"`;
+}
+
+// Remember a task file's content under its ETag; returns the ETag
+function trackTaskVersion(content) {
+  const etag = taskEtag(content);
+  taskVersions.delete(etag);
+  try {
+    taskVersions.set(etag, JSON.parse(content));
+  } catch (e) {
+    return etag;
+  }
+  if (taskVersions.size > TASK_VERSION_CACHE_SIZE) taskVersions.delete(taskVersions.keys().next().value);
+  return etag;
+}
+
+// { task, etag }, or null when the file is missing or mid-write
+function readTaskFile(taskPath) {
+  try {
+    const content = readFileSync(taskPath, 'utf8');
+    return { task: JSON.parse(content), etag: trackTaskVersion(content) };
+  } catch (e) {
+    return null;
+  }
+}
+
+// exclusive: fail with EEXIST instead of replacing an existing file
+function writeFileAtomic(filePath, content, { exclusive = false } = {}) {
+  const tmpPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.tmp`);
+  writeFileSync(tmpPath, content);
+  try {
+    if (exclusive) {
+      linkSync(tmpPath, filePath);
+      unlinkSync(tmpPath);
+    } else {
+      renameSync(tmpPath, filePath);
+    }
+  } catch (e) {
+    rmSync(tmpPath, { force: true });
+    throw e;
+  }
+}
+
+// Returns the written task's new ETag
+function writeTaskFile(taskPath, task, options) {
+  const content = JSON.stringify(task, null, 2);
+  writeFileAtomic(taskPath, content, options);
+  return trackTaskVersion(content);
+}
+
+function ifMatchSatisfied(req, etag) {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') return true;
+  return header.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(etag);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Fields of an edit that collide with a concurrent change, judged against the client's version
+function findEditConflicts(req, current, edits) {
+  const base = taskVersions.get((req.get('If-Match') || '').trim().replace(/^W\//, ''));
+  return Object.keys(edits).filter(field =>
+    !sameValue(current[field], edits[field]) && (!base || !sameValue(base[field], current[field]))
+  );
+}
+
+// API: Add note to a task
+app.post('/api/tasks/:sessionId/:taskId/note', async (req, res) => {
+  try {
+    const { sessionId, taskId } = req.params;
+    const { note } = req.body;
+
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({ error: 'note must be a string' });
+    }
+    if (!note || !note.trim()) {
+      return res.status(400).json({ error: 'Note cannot be empty' });
+    }
+
+    const taskPath = path.join(getSessionTasksDir(sessionId), `${taskId}.json`);
+
+    if (!existsSync(taskPath)) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    // Read current task; appending never conflicts, so If-Match is not checked
+    const current = readTaskFile(taskPath);
+    if (!current) {
+      return res.status(409).json({ error: 'Task file is being written, try again' });
+    }
+    const { task } = current;
+
+    // Append note to description
+    const noteBlock = NOTE_SEPARATOR + note.trim();
+    task.description = (task.description || '') + noteBlock;
+
+    // Write updated task
+    const etag = writeTaskFile(taskPath, task);
+
+    res.set('ETag', etag).json({ success: true, task: { ...task, etag }, merged: !ifMatchSatisfied(req, current.etag) });
+  } catch (error) {
+    console.error('Error adding note:', error);
+    res.status(500).json({ error: 'Failed to add note' });
+  }
+});
+
+/**
+ * Board edits. Status, owner and dependencies can be changed besides subject and description;
+ * blockedBy/blocks are mirrored onto the other side of each relation so every task file stays
+ * consistent.
+ */
+const TASK_STATUSES = ['pending', 'in_progress', 'completed'];
+const EDITABLE_TASK_FIELDS = ['subject', 'description', 'status', 'owner', 'blockedBy', 'blocks'];
+
+// Every task in a session keyed by id, straight from disk so nothing enriched is written back.
+// versions, when given, collects each file's ETag as read.
+function readSessionTaskFiles(sessionPath, versions) {
+  const tasks = new Map();
+  if (!existsSync(sessionPath)) return tasks;
+  for (const file of readdirSync(sessionPath).filter(f => f.endsWith('.json'))) {
+    try {
+      const content = readFileSync(path.join(sessionPath, file), 'utf8');
+      tasks.set(path.basename(file, '.json'), JSON.parse(content));
+      versions?.set(path.basename(file, '.json'), taskEtag(content));
+    } catch (e) {
+      // Skip invalid files
+    }
+  }
+  return tasks;
+}
+
+// Returns an error message for a dependency list that isn't a list of other tasks' ids
+function validateTaskIds(ids, taskId, tasks, field) {
+  if (!Array.isArray(ids)) return `${field} must be an array of task ids`;
+  for (const id of ids.map(String)) {
+    if (id === taskId) return 'A task cannot depend on itself';
+    if (!tasks.has(id)) return `${field} references unknown task #${id}`;
+  }
+  return null;
+}
+
+// Returns the ids forming a cycle in the blockedBy graph, or null
+function findDependencyCycle(tasks) {
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const stack = [];
+  const visit = (id) => {
+    if (state.get(id) === 'done') return null;
+    if (state.get(id) === 'visiting') return stack.slice(stack.indexOf(id)).concat(id);
+    state.set(id, 'visiting');
+    stack.push(id);
+    for (const dep of tasks.get(id)?.blockedBy || []) {
+      const cycle = tasks.has(String(dep)) ? visit(String(dep)) : null;
+      if (cycle) return cycle;
+    }
+    stack.pop();
+    state.set(id, 'done');
+    return null;
+  };
+  for (const id of tasks.keys()) {
+    const cycle = visit(id);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+/**
+ * Set a task's blockedBy and/or blocks (either may be undefined to keep it) and mirror the change
+ * onto the related tasks. Mutates the tasks map; returns the ids whose files need writing.
+ */
+function applyTaskDependencies(tasks, taskId, blockedBy, blocks) {
+  const task = tasks.get(taskId);
+  const nextBlockedBy = blockedBy !== undefined ? [...new Set(blockedBy.map(String))] : (task.blockedBy || []).map(String);
+  const nextBlocks = blocks !== undefined ? [...new Set(blocks.map(String))] : (task.blocks || []).map(String);
+  const changed = new Set([taskId]);
+  task.blockedBy = nextBlockedBy;
+  task.blocks = nextBlocks;
+
+  const setMembership = (other, field, member) => {
+    const list = (other[field] || []).map(String);
+    const has = list.includes(taskId);
+    if (member === has) return false;
+    other[field] = member ? [...list, taskId] : list.filter(id => id !== taskId);
+    return true;
+  };
+  for (const [id, other] of tasks) {
+    if (id === taskId) continue;
+    const blocksChanged = setMembership(other, 'blocks', nextBlockedBy.includes(id));
+    const blockedByChanged = setMembership(other, 'blockedBy', nextBlocks.includes(id));
+    if (blocksChanged || blockedByChanged) changed.add(id);
+  }
+  return changed;
+}
+
+function writeSessionTasks(sessionPath, tasks, ids) {
+  for (const id of ids) writeTaskFile(path.join(sessionPath, `${id}.json`), tasks.get(id));
+}
+
+// Related tasks get their blocks/blockedBy rewritten without the client having seen them, so
+// instead of If-Match each is compared with the version read at the start of the request
+function findChangedTaskFiles(sessionPath, ids, versions) {
+  return [...ids].filter(id => readTaskFile(path.join(sessionPath, `${id}.json`))?.etag !== versions.get(id));
+}
+
+function staleTasksResponse(res, staleTasks) {
+  return res.status(409).json({
+    error: `Task ${staleTasks.map(id => '#' + id).join(', ')} changed while the dependencies were being saved, try again`,
+    staleTasks
+  });
+}
+
+// API: Update task fields (subject, description, status, owner, blockedBy, blocks)
+app.put('/api/tasks/:sessionId/:taskId', async (req, res) => {
+  try {
+    const { sessionId, taskId } = req.params;
+
+    const sessionPath = getSessionTasksDir(sessionId);
+    const taskPath = path.join(sessionPath, `${taskId}.json`);
+
+    if (!existsSync(taskPath)) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const current = readTaskFile(taskPath);
+    if (!current) {
+      return res.status(409).json({ error: 'Task file is being written, try again' });
+    }
+    const versions = new Map();
+    const tasks = readSessionTaskFiles(sessionPath, versions);
+    const task = current.task;
+    tasks.set(taskId, task);
+
+    // Normalized the way they are stored, so unchanged values compare equal
+    const edits = {};
+    for (const field of EDITABLE_TASK_FIELDS) {
+      if (req.body[field] !== undefined) edits[field] = req.body[field];
+    }
+    if (edits.status !== undefined && !TASK_STATUSES.includes(edits.status)) {
+      return res.status(400).json({ error: `status must be one of ${TASK_STATUSES.join(', ')}` });
+    }
+    if (edits.subject !== undefined && (typeof edits.subject !== 'string' || !edits.subject.trim())) {
+      return res.status(400).json({ error: 'subject must be a non-empty string' });
+    }
+    if (edits.description !== undefined && typeof edits.description !== 'string') {
+      return res.status(400).json({ error: 'description must be a string' });
+    }
+    if (edits.owner !== undefined) {
+      if (edits.owner !== null && typeof edits.owner !== 'string') {
+        return res.status(400).json({ error: 'owner must be a string or null' });
+      }
+      edits.owner = edits.owner?.trim() || null;
+    }
+    for (const field of ['blockedBy', 'blocks']) {
+      if (edits[field] === undefined) continue;
+      const error = validateTaskIds(edits[field], taskId, tasks, field);
+      if (error) return res.status(400).json({ error });
+      edits[field] = [...new Set(edits[field].map(String))];
+    }
+
+    const merged = !ifMatchSatisfied(req, current.etag);
+    if (merged) {
+      const conflicts = findEditConflicts(req, task, edits);
+      if (conflicts.length > 0) {
+        return res.status(409).set('ETag', current.etag).json({
+          error: 'Task was changed since you loaded it',
+          conflicts,
+          task: { ...task, etag: current.etag }
+        });
+      }
+    }
+
+    for (const field of ['subject', 'description', 'status']) {
+      if (edits[field] !== undefined) task[field] = edits[field];
+    }
+    if (edits.owner !== undefined) {
+      if (edits.owner) task.owner = edits.owner;
+      else delete task.owner;
+    }
+
+    let changed = new Set([taskId]);
+    if (edits.blockedBy !== undefined || edits.blocks !== undefined) {
+      changed = applyTaskDependencies(tasks, taskId, edits.blockedBy, edits.blocks);
+      const cycle = findDependencyCycle(tasks);
+      if (cycle) {
+        return res.status(400).json({ error: `Dependency cycle: ${cycle.map(id => '#' + id).join(' → ')}`, cycle });
+      }
+    }
+
+    changed.delete(taskId);
+    const staleTasks = findChangedTaskFiles(sessionPath, changed, versions);
+    if (staleTasks.length > 0) return staleTasksResponse(res, staleTasks);
+    const etag = writeTaskFile(taskPath, task);
+    writeSessionTasks(sessionPath, tasks, changed);
+
+    res.set('ETag', etag).json({
+      success: true,
+      task: { ...task, etag },
+      updated: [taskId, ...changed],
+      merged
+    });
+  } catch (error) {
+    console.error('Error updating task:', error);
+    res.status(500).json({ error: 'Failed to update task' });
+  }
+});
+
+// API: Create a pending task with the next numeric id
+app.post('/api/tasks/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { subject, description, activeForm, owner, blockedBy = [], blocks = [] } = req.body;
+
+    if (typeof subject !== 'string' || !subject.trim()) {
+      return res.status(400).json({ error: 'Subject is required' });
+    }
+    for (const [field, value] of [['description', description], ['activeForm', activeForm], ['owner', owner]]) {
+      if (value !== undefined && value !== null && typeof value !== 'string') {
+        return res.status(400).json({ error: `${field} must be a string` });
+      }
+    }
+    if (!findSessionRoot(sessionId) && !loadSessionMetadata()[sessionId]) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const sessionPath = getSessionTasksDir(sessionId);
+    const versions = new Map();
+    const tasks = readSessionTaskFiles(sessionPath, versions);
+    // Archived ids are skipped too, so the task can never collide with one restored later
+    const usedIds = [...tasks.keys(), ...Object.keys(readArchiveManifest(sessionId)?.tasks || {})];
+    const taskId = String(usedIds.reduce((max, id) => Math.max(max, parseInt(id) || 0), 0) + 1);
+
+    for (const [field, ids] of [['blockedBy', blockedBy], ['blocks', blocks]]) {
+      const error = validateTaskIds(ids, taskId, tasks, field);
+      if (error) return res.status(400).json({ error });
+    }
+
+    const task = {
+      id: taskId,
+      subject: subject.trim(),
+      description: description || '',
+      activeForm: activeForm || subject.trim(),
+      status: 'pending',
+      blocks: [],
+      blockedBy: []
+    };
+    if (owner && owner.trim()) task.owner = owner.trim();
+    tasks.set(taskId, task);
+    const changed = applyTaskDependencies(tasks, taskId, blockedBy, blocks);
+    const cycle = findDependencyCycle(tasks);
+    if (cycle) {
+      return res.status(400).json({ error: `Dependency cycle: ${cycle.map(id => '#' + id).join(' → ')}`, cycle });
+    }
+
+    changed.delete(taskId);
+    const staleTasks = findChangedTaskFiles(sessionPath, changed, versions);
+    if (staleTasks.length > 0) return staleTasksResponse(res, staleTasks);
+
+    mkdirSync(sessionPath, { recursive: true });
+    const taskPath = path.join(sessionPath, `${taskId}.json`);
+    let etag;
+    try {
+      // Claude may have created the same id since we listed the directory
+      etag = writeTaskFile(taskPath, task, { exclusive: true });
+    } catch (e) {
+      if (e.code === 'EEXIST') return res.status(409).json({ error: `Task #${taskId} was just created by someone else, try again` });
+      throw e;
+    }
+    writeSessionTasks(sessionPath, tasks, changed);
+
+    res.status(201).set('ETag', etag).json({ success: true, task: { ...task, etag } });
+  } catch (error) {
+    console.error('Error creating task:', error);
+    res.status(500).json({ error: 'Failed to create task' });
+  }
+});
+
+// API: Delete a task
+app.delete('/api/tasks/:sessionId/:taskId', async (req, res) => {
+  try {
+    const { sessionId, taskId } = req.params;
+    const taskPath = path.join(getSessionTasksDir(sessionId), `${taskId}.json`);
+
+    if (!existsSync(taskPath)) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    // Deleting a task that changed since the client saw it is never merged
+    const current = readTaskFile(taskPath);
+    if (current && !ifMatchSatisfied(req, current.etag)) {
+      return res.status(409).set('ETag', current.etag).json({
+        error: 'Task was changed since you loaded it',
+        task: { ...current.task, etag: current.etag }
+      });
+    }
+
+    // Check if this task blocks other tasks
+    const sessionPath = getSessionTasksDir(sessionId);
+    const taskFiles = readdirSync(sessionPath).filter(f => f.endsWith('.json'));
+
+    for (const file of taskFiles) {
+      const otherTask = JSON.parse(readFileSync(path.join(sessionPath, file), 'utf8'));
       if (otherTask.blockedBy && otherTask.blockedBy.includes(taskId)) {
         return res.status(400).json({
           error: 'Cannot delete task that blocks other tasks',
@@ -787,17 +4077,392 @@ app.delete('/api/tasks/:sessionId/:taskId', async (req, res) => {
       }
     }
 
-    // Delete the task file
-    await fs.unlink(taskPath);
+    // Move the task into the archive rather than unlinking it, so a misclick can be undone
+    archiveTasks(sessionId, [taskId], 'deleted');
+    broadcast({ type: 'archive-update', sessionId });
 
-    res.json({ success: true, taskId });
+    res.json({ success: true, taskId, archived: true });
   } catch (error) {
     console.error('Error deleting task:', error);
     res.status(500).json({ error: 'Failed to delete task' });
   }
 });
 
+/**
+ * Archive store: ARCHIVE_DIR/<sessionId>/tasks/<taskId>.json plus a manifest.json holding
+ * the session's name, project, team config and plan as they were when last archived.
+ * Manifest: { sessionId, name, project, gitBranch, createdAt, archivedAt, team, plan,
+ *             tasks: { [taskId]: { subject, status, archivedAt, reason: 'deleted'|'manual'|'auto' } } }
+ * Retention (both off unless set): KANBAN_AUTO_ARCHIVE_DAYS archives sessions whose tasks
+ * have not changed for that many days; KANBAN_ARCHIVE_RETENTION_DAYS purges archived tasks older than that.
+ */
+const ARCHIVE_DIR = path.join(DATA_DIR, 'archive');
+const AUTO_ARCHIVE_DAYS = parseFloat(process.env.KANBAN_AUTO_ARCHIVE_DAYS) || 0;
+const ARCHIVE_RETENTION_DAYS = parseFloat(process.env.KANBAN_ARCHIVE_RETENTION_DAYS) || 0;
+const ARCHIVE_SWEEP_INTERVAL = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function archiveManifestPath(sessionId) {
+  return path.join(ARCHIVE_DIR, sessionId, 'manifest.json');
+}
+
+function isArchivedSession(sessionId) {
+  return existsSync(archiveManifestPath(sessionId));
+}
+
+function readArchiveManifest(sessionId) {
+  try {
+    const manifest = JSON.parse(readFileSync(archiveManifestPath(sessionId), 'utf8'));
+    // Ids come from URLs; only trust a manifest that belongs to the directory it was read from
+    return manifest.sessionId === sessionId ? manifest : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeArchiveManifest(manifest) {
+  const manifestPath = archiveManifestPath(manifest.sessionId);
+  if (Object.keys(manifest.tasks).length === 0) {
+    rmSync(path.dirname(manifestPath), { recursive: true, force: true });
+    return;
+  }
+  writeFileAtomic(manifestPath, JSON.stringify(manifest, null, 2));
+}
+
+// The data dir may sit on another filesystem than ~/.claude
+function moveFile(from, to) {
+  try {
+    renameSync(from, to);
+  } catch (e) {
+    if (e.code !== 'EXDEV') throw e;
+    copyFileSync(from, to);
+    unlinkSync(from);
+  }
+}
+
+function listSessionTaskIds(sessionId) {
+  const sessionPath = getSessionTasksDir(sessionId);
+  if (!existsSync(sessionPath)) return [];
+  return readdirSync(sessionPath).filter(f => f.endsWith('.json')).map(f => path.basename(f, '.json'));
+}
+
+/**
+ * Move task files out of the session's tasks dir into the archive. The session snapshot (name,
+ * source root, team config, plan) is refreshed each time so it reflects the session as last seen
+ * live. Returns archived ids.
+ */
+function archiveTasks(sessionId, taskIds, reason) {
+  const sessionPath = getSessionTasksDir(sessionId);
+  const archiveTasksDir = path.join(ARCHIVE_DIR, sessionId, 'tasks');
+  mkdirSync(archiveTasksDir, { recursive: true });
+
+  const meta = loadSessionMetadata()[sessionId] || {};
+  const manifest = readArchiveManifest(sessionId) || { sessionId, tasks: {} };
+  const archivedAt = new Date().toISOString();
+  Object.assign(manifest, {
+    name: getSessionDisplayName(sessionId, meta) || manifest.name || null,
+    project: meta.project || manifest.project || null,
+    gitBranch: meta.gitBranch || manifest.gitBranch || null,
+    createdAt: meta.created || manifest.createdAt || null,
+    archivedAt,
+    source: findSessionRoot(sessionId)?.label || manifest.source || null,
+    team: loadTeamConfig(sessionId) || manifest.team || null,
+    plan: readPlanSnapshot(meta.slug) || manifest.plan || null
+  });
+
+  const archived = [];
+  for (const taskId of taskIds) {
+    const taskPath = path.join(sessionPath, `${taskId}.json`);
+    if (!existsSync(taskPath)) continue;
+    let task = {};
+    try {
+      task = JSON.parse(readFileSync(taskPath, 'utf8'));
+    } catch (e) { /* archive unreadable files as they are */ }
+    moveFile(taskPath, path.join(archiveTasksDir, `${taskId}.json`));
+    manifest.tasks[taskId] = { subject: task.subject || null, status: task.status || null, archivedAt, reason };
+    archived.push(taskId);
+  }
+
+  writeArchiveManifest(manifest);
+  return archived;
+}
+
+/**
+ * Move archived tasks (all when taskIds is null) back into the root they came from. A live task
+ * with the same id is never overwritten; it is reported as a conflict and stays archived. The
+ * team config and plan are only written back when they no longer exist.
+ */
+function restoreArchivedTasks(sessionId, taskIds) {
+  const manifest = readArchiveManifest(sessionId);
+  if (!manifest) return null;
+
+  const root = findSessionRoot(sessionId) || rootByLabel(manifest.source) || CLAUDE_ROOTS[0];
+  const sessionPath = path.join(root.tasksDir, sessionId);
+  const archiveTasksDir = path.join(ARCHIVE_DIR, sessionId, 'tasks');
+  mkdirSync(sessionPath, { recursive: true });
+
+  const restored = [];
+  const conflicts = [];
+  for (const taskId of taskIds || Object.keys(manifest.tasks)) {
+    if (!manifest.tasks[taskId]) continue;
+    const taskPath = path.join(sessionPath, `${taskId}.json`);
+    if (existsSync(taskPath)) {
+      conflicts.push(taskId);
+      continue;
+    }
+    moveFile(path.join(archiveTasksDir, `${taskId}.json`), taskPath);
+    delete manifest.tasks[taskId];
+    restored.push(taskId);
+  }
+
+  if (restored.length > 0) {
+    const teamConfigPath = findTeamConfigPath(sessionId) || path.join(root.teamsDir, sessionId, 'config.json');
+    if (manifest.team && !existsSync(teamConfigPath)) {
+      mkdirSync(path.dirname(teamConfigPath), { recursive: true });
+      writeFileAtomic(teamConfigPath, JSON.stringify(manifest.team, null, 2));
+    }
+    const planPath = manifest.plan && (findPlanPath(manifest.plan.slug) || path.join(root.plansDir, `${manifest.plan.slug}.md`));
+    if (planPath && !existsSync(planPath)) {
+      mkdirSync(root.plansDir, { recursive: true });
+      writeFileAtomic(planPath, manifest.plan.content);
+    }
+  }
+
+  writeArchiveManifest(manifest);
+  return { restored, conflicts };
+}
+
+// Permanently delete archived tasks (all when taskIds is null). Returns the purged ids, or null.
+function purgeArchivedTasks(sessionId, taskIds) {
+  const manifest = readArchiveManifest(sessionId);
+  if (!manifest) return null;
+
+  const purged = [];
+  for (const taskId of taskIds || Object.keys(manifest.tasks)) {
+    if (!manifest.tasks[taskId]) continue;
+    rmSync(path.join(ARCHIVE_DIR, sessionId, 'tasks', `${taskId}.json`), { force: true });
+    delete manifest.tasks[taskId];
+    purged.push(taskId);
+  }
+
+  writeArchiveManifest(manifest);
+  return purged;
+}
+
+function summarizeArchive(manifest) {
+  const tasks = Object.entries(manifest.tasks)
+    .map(([id, info]) => ({ id, ...info }))
+    .sort((a, b) => parseInt(a.id) - parseInt(b.id));
+  return {
+    sessionId: manifest.sessionId,
+    name: manifest.name,
+    project: manifest.project,
+    gitBranch: manifest.gitBranch,
+    createdAt: manifest.createdAt,
+    archivedAt: manifest.archivedAt,
+    source: manifest.source || null,
+    taskCount: tasks.length,
+    completed: tasks.filter(t => t.status === 'completed').length,
+    isLive: listSessionTaskIds(manifest.sessionId).length > 0,
+    hasTeam: !!manifest.team,
+    hasPlan: !!manifest.plan,
+    planTitle: manifest.plan?.title || null,
+    tasks
+  };
+}
+
+/**
+ * Apply the retention rules once. Sessions are auto-archived by the age of their newest
+ * task file; archived tasks are purged by the time they were archived.
+ */
+function sweepArchive(autoArchiveDays = AUTO_ARCHIVE_DAYS, retentionDays = ARCHIVE_RETENTION_DAYS) {
+  const now = Date.now();
+  const archived = [];
+  const purged = [];
+
+  if (autoArchiveDays > 0) {
+    for (const sessionId of listSessionIds()) {
+      const taskIds = listSessionTaskIds(sessionId);
+      if (taskIds.length === 0) continue;
+      const sessionPath = getSessionTasksDir(sessionId);
+      const newest = Math.max(...taskIds.map(id => statSync(path.join(sessionPath, `${id}.json`)).mtimeMs));
+      if (now - newest < autoArchiveDays * DAY_MS) continue;
+      const ids = archiveTasks(sessionId, taskIds, 'auto');
+      if (ids.length > 0) archived.push({ sessionId, taskIds: ids });
+    }
+  }
+
+  if (retentionDays > 0 && existsSync(ARCHIVE_DIR)) {
+    for (const dir of readdirSync(ARCHIVE_DIR, { withFileTypes: true })) {
+      const manifest = dir.isDirectory() && readArchiveManifest(dir.name);
+      if (!manifest) continue;
+      const expired = Object.keys(manifest.tasks)
+        .filter(id => now - Date.parse(manifest.tasks[id].archivedAt) >= retentionDays * DAY_MS);
+      if (expired.length > 0) purged.push({ sessionId: dir.name, taskIds: purgeArchivedTasks(dir.name, expired) });
+    }
+  }
+
+  for (const { sessionId } of [...archived, ...purged]) broadcast({ type: 'archive-update', sessionId });
+  if (archived.length > 0 || purged.length > 0) {
+    console.log(`Archive sweep: archived ${archived.length} session(s), purged tasks from ${purged.length}`);
+  }
+  return { archived, purged };
+}
+
+function runArchiveSweep() {
+  try {
+    sweepArchive();
+  } catch (error) {
+    console.error('Error sweeping archive:', error);
+  }
+}
+
+// API: Archive every task in a session (with its team config and plan snapshot)
+app.post('/api/sessions/:sessionId/archive', (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!listSessionIds().includes(sessionId)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    const taskIds = listSessionTaskIds(sessionId);
+    if (taskIds.length === 0) {
+      return res.status(404).json({ error: 'Session has no tasks to archive' });
+    }
+
+    const archived = archiveTasks(sessionId, taskIds, 'manual');
+    broadcast({ type: 'archive-update', sessionId });
+    res.json({ success: true, sessionId, archived });
+  } catch (error) {
+    console.error('Error archiving session:', error);
+    res.status(500).json({ error: 'Failed to archive session' });
+  }
+});
+
+// API: List archived sessions (?project= to scope)
+app.get('/api/archive', (req, res) => {
+  try {
+    const sessions = [];
+    if (existsSync(ARCHIVE_DIR)) {
+      for (const dir of readdirSync(ARCHIVE_DIR, { withFileTypes: true })) {
+        const manifest = dir.isDirectory() && readArchiveManifest(dir.name);
+        if (!manifest) continue;
+        if (req.query.project && manifest.project !== req.query.project) continue;
+        sessions.push(summarizeArchive(manifest));
+      }
+    }
+    sessions.sort((a, b) => new Date(b.archivedAt) - new Date(a.archivedAt));
+
+    res.json({
+      retention: { autoArchiveDays: AUTO_ARCHIVE_DAYS || null, retentionDays: ARCHIVE_RETENTION_DAYS || null },
+      sessions
+    });
+  } catch (error) {
+    console.error('Error listing archive:', error);
+    res.status(500).json({ error: 'Failed to list archive' });
+  }
+});
+
+// API: Get an archived session with its full task files, team config and plan
+app.get('/api/archive/:sessionId', (req, res) => {
+  try {
+    const manifest = readArchiveManifest(req.params.sessionId);
+    if (!manifest) {
+      return res.status(404).json({ error: 'Archived session not found' });
+    }
+
+    const tasks = [];
+    for (const taskId of Object.keys(manifest.tasks)) {
+      try {
+        tasks.push(JSON.parse(readFileSync(path.join(ARCHIVE_DIR, manifest.sessionId, 'tasks', `${taskId}.json`), 'utf8')));
+      } catch (e) {
+        // Skip invalid files
+      }
+    }
+    tasks.sort((a, b) => parseInt(a.id) - parseInt(b.id));
+
+    res.json({ ...summarizeArchive(manifest), team: manifest.team, plan: manifest.plan, taskFiles: tasks });
+  } catch (error) {
+    console.error('Error reading archive:', error);
+    res.status(500).json({ error: 'Failed to read archive' });
+  }
+});
+
+// API: Restore an archived session (body { taskIds } to restore only some tasks)
+app.post('/api/archive/:sessionId/restore', (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const taskIds = Array.isArray(req.body?.taskIds) ? req.body.taskIds.map(String) : null;
+    const result = restoreArchivedTasks(sessionId, taskIds);
+    if (!result) {
+      return res.status(404).json({ error: 'Archived session not found' });
+    }
+    if (result.restored.length === 0 && result.conflicts.length > 0) {
+      return res.status(409).json({ error: 'Live tasks with the same ids already exist', conflicts: result.conflicts });
+    }
+
+    broadcast({ type: 'archive-update', sessionId });
+    res.json({ success: true, sessionId, ...result });
+  } catch (error) {
+    console.error('Error restoring archive:', error);
+    res.status(500).json({ error: 'Failed to restore archive' });
+  }
+});
+
+// API: Permanently delete an archived session (?taskId= to purge a single task)
+app.delete('/api/archive/:sessionId', (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const purged = purgeArchivedTasks(sessionId, req.query.taskId ? [String(req.query.taskId)] : null);
+    if (!purged) {
+      return res.status(404).json({ error: 'Archived session not found' });
+    }
+
+    broadcast({ type: 'archive-update', sessionId });
+    res.json({ success: true, sessionId, purged });
+  } catch (error) {
+    console.error('Error purging archive:', error);
+    res.status(500).json({ error: 'Failed to purge archive' });
+  }
+});
+
+// API: Apply retention rules now (?autoArchiveDays=&retentionDays= override the configured values)
+app.post('/api/archive/sweep', (req, res) => {
+  try {
+    const autoArchiveDays = req.query.autoArchiveDays !== undefined ? parseFloat(req.query.autoArchiveDays) || 0 : AUTO_ARCHIVE_DAYS;
+    const retentionDays = req.query.retentionDays !== undefined ? parseFloat(req.query.retentionDays) || 0 : ARCHIVE_RETENTION_DAYS;
+    res.json(sweepArchive(autoArchiveDays, retentionDays));
+  } catch (error) {
+    console.error('Error sweeping archive:', error);
+    res.status(500).json({ error: 'Failed to apply retention rules' });
+  }
+});
+
 // SSE endpoint for live updates
+// SSE event log: every broadcast gets an id so a reconnecting client can replay what it missed.
+// Ids are `<boot>-<seq>`; an id from an earlier server run or older than the log gets a resync instead.
+const SSE_BOOT_ID = Date.now().toString(36);
+const SSE_REPLAY_LIMIT = 1000;
+const eventLog = []; // [{ seq, message }]
+let eventSeq = 0;
+
+function currentEventId() {
+  return `${SSE_BOOT_ID}-${eventSeq}`;
+}
+
+function replayEvents(res, lastEventId) {
+  const [bootId, seqPart] = String(lastEventId).split('-');
+  const seq = parseInt(seqPart, 10);
+  const oldestSeq = eventLog.length > 0 ? eventLog[0].seq : eventSeq + 1;
+  if (bootId !== SSE_BOOT_ID || isNaN(seq) || seq > eventSeq || seq < oldestSeq - 1) {
+    res.write(`data: ${JSON.stringify({ type: 'resync' })}\n\n`);
+    return;
+  }
+  for (const entry of eventLog) {
+    if (entry.seq > seq) res.write(entry.message);
+  }
+}
+
+// API: Server-sent events (Last-Event-ID header or ?lastEventId= replays missed events)
 app.get('/api/events', (req, res) => {
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
@@ -809,117 +4474,459 @@ app.get('/api/events', (req, res) => {
     clients.delete(res);
   });
 
-  // Send initial ping
-  res.write('data: {"type":"connected"}\n\n');
+  const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+  if (lastEventId) replayEvents(res, lastEventId);
+
+  // Initial ping carries the current id so a client that reconnects later resumes from here
+  res.write(`id: ${currentEventId()}\ndata: {"type":"connected"}\n\n`);
 });
 
-// Broadcast update to all SSE clients
-function broadcast(data) {
-  const message = `data: ${JSON.stringify(data)}\n\n`;
+// Broadcast update to all SSE clients. Transient events (replayable: false) carry no id and stay out of the replay log
+function broadcast(data, { replayable = true } = {}) {
+  if (!replayable) {
+    const message = `data: ${JSON.stringify(data)}\n\n`;
+    for (const client of clients) client.write(message);
+    return;
+  }
+  eventSeq++;
+  const message = `id: ${currentEventId()}\ndata: ${JSON.stringify(data)}\n\n`;
+  eventLog.push({ seq: eventSeq, message });
+  if (eventLog.length > SSE_REPLAY_LIMIT) eventLog.shift();
   for (const client of clients) {
     client.write(message);
   }
 }
 
-// Watch for file changes (chokidar handles non-existent paths)
-const watcher = chokidar.watch(TASKS_DIR, {
-  persistent: true,
-  ignoreInitial: true,
-  depth: 2
-});
+// Per-session task statuses, seeded at startup (or from disk for sessions that appear later) and
+// kept current by the watcher, so a task delta can carry the session's counters without rereading every task file
+const sessionTaskStatuses = new Map(); // sessionId -> Map<taskId, status>
 
-watcher.on('all', (event, filePath) => {
-  if ((event === 'add' || event === 'change' || event === 'unlink') && filePath.endsWith('.json')) {
-    const relativePath = path.relative(TASKS_DIR, filePath);
-    const sessionId = relativePath.split(path.sep)[0];
+function getSessionTaskStatuses(sessionId) {
+  let statuses = sessionTaskStatuses.get(sessionId);
+  if (!statuses) {
+    statuses = new Map();
+    for (const task of readSessionTasks(sessionId) || []) statuses.set(String(task.id), task.status);
+    sessionTaskStatuses.set(sessionId, statuses);
+  }
+  return statuses;
+}
 
-    broadcast({
-      type: 'update',
-      event,
-      sessionId,
-      file: path.basename(filePath)
-    });
+function sessionCounters(sessionId) {
+  const counters = { taskCount: 0, completed: 0, inProgress: 0, pending: 0 };
+  for (const status of getSessionTaskStatuses(sessionId).values()) {
+    counters.taskCount++;
+    if (status === 'completed') counters.completed++;
+    else if (status === 'in_progress') counters.inProgress++;
+    else counters.pending++;
   }
-});
+  return counters;
+}
 
-console.log(`Watching for changes in: ${TASKS_DIR}`);
+/**
+ * Live agent activity over SSE. Transcripts grow in bursts (streamed chunks, tool results), so each
+ * file is pushed at most once per ACTIVITY_PUSH_INTERVAL. Activity events are not replayable: a client
+ * that reconnects refetches its tasks, which carry the same activity.
+ */
+const ACTIVITY_PUSH_INTERVAL = 1000;
+const activityPushTimers = new Map(); // transcript path -> pending timer
 
-// Watch teams directory for config changes
-const teamsWatcher = chokidar.watch(TEAMS_DIR, {
-  persistent: true,
-  ignoreInitial: true,
-  depth: 3
-});
+function scheduleActivityPush(filePath) {
+  if (activityPushTimers.has(filePath)) return;
+  const timer = setTimeout(() => {
+    activityPushTimers.delete(filePath);
+    try {
+      pushTranscriptActivity(filePath);
+    } catch (error) {
+      console.error('Error pushing agent activity:', error);
+    }
+  }, ACTIVITY_PUSH_INTERVAL);
+  timer.unref();
+  activityPushTimers.set(filePath, timer);
+}
 
-teamsWatcher.on('all', (event, filePath) => {
-  if ((event === 'add' || event === 'change' || event === 'unlink') && filePath.endsWith('.json')) {
-    const relativePath = path.relative(TEAMS_DIR, filePath);
-    const teamName = relativePath.split(path.sep)[0];
-    teamConfigCache.delete(teamName);
-    broadcast({ type: 'team-update', teamName });
+// Send the activity of the in-progress tasks whose agent writes this transcript
+function pushTranscriptActivity(filePath) {
+  if (clients.size === 0) return;
+  const isSubagent = path.basename(path.dirname(filePath)) === 'subagents';
+  const jsonlPath = isSubagent ? `${path.dirname(path.dirname(filePath))}.jsonl` : filePath;
+  const agentId = isSubagent ? path.basename(filePath, '.jsonl').replace('agent-', '') : null;
+
+  for (const [sessionId, meta] of Object.entries(loadSessionMetadata())) {
+    if (meta.jsonlPath !== jsonlPath) continue;
+    if (![...getSessionTaskStatuses(sessionId).values()].includes('in_progress')) continue;
+    const tasks = (readSessionTasks(sessionId) || []).filter(t => t.status === 'in_progress');
+    attachTaskActivity(enrichTasksWithAgents(tasks, jsonlPath), jsonlPath);
+    const activities = {};
+    for (const task of tasks) {
+      if (task.activity && task.activity.agentId === agentId) activities[task.id] = task.activity;
+    }
+    if (Object.keys(activities).length > 0) broadcast({ type: 'activity', sessionId, activities }, { replayable: false });
   }
-});
+}
 
-console.log(`Watching for team changes in: ${TEAMS_DIR}`);
+/**
+ * Notifications fed by the watchers. Every notification goes to SSE clients (the browser decides
+ * whether to raise a desktop alert) and to the webhooks configured in DATA_DIR/notifications.json:
+ * {
+ *   "events": { "task-completed": true, "session-done": true, "task-stalled": true, "member-joined": true },
+ *   "stalledMinutes": 30,
+ *   "webhooks": [{ "url": "https://hooks.slack.com/services/...", "format": "slack", "events": ["session-done"] }]
+ * }
+ * Webhook format is "json" (the notification object, default) or "slack" ({ text }).
+ */
+const NOTIFICATIONS_PATH = path.join(DATA_DIR, 'notifications.json');
+const NOTIFICATION_TYPES = ['task-completed', 'session-done', 'task-stalled', 'member-joined'];
+const DEFAULT_NOTIFICATION_CONFIG = {
+  events: Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, true])),
+  stalledMinutes: 30,
+  webhooks: []
+};
+const WEBHOOK_TIMEOUT = 10000;
+const STALL_CHECK_INTERVAL = 60000;
+const NOTIFICATIONS_STARTED_AT = Date.now();
+let notificationConfigCache = { mtime: null, config: DEFAULT_NOTIFICATION_CONFIG };
+const stalledNotified = new Set(); // `${sessionId}/${taskId}@${since}` already reported
+const teamMembers = new Map(); // teamName -> Set of member names
+
+function loadNotificationConfig() {
+  try {
+    if (!existsSync(NOTIFICATIONS_PATH)) return DEFAULT_NOTIFICATION_CONFIG;
+    const mtime = statSync(NOTIFICATIONS_PATH).mtime.getTime();
+    if (notificationConfigCache.mtime !== mtime) {
+      const saved = JSON.parse(readFileSync(NOTIFICATIONS_PATH, 'utf8'));
+      notificationConfigCache = {
+        mtime,
+        config: {
+          ...DEFAULT_NOTIFICATION_CONFIG,
+          ...saved,
+          events: { ...DEFAULT_NOTIFICATION_CONFIG.events, ...saved.events },
+          webhooks: Array.isArray(saved.webhooks) ? saved.webhooks : []
+        }
+      };
+    }
+  } catch (e) {
+    console.error('Error loading notification config:', e);
+  }
+  return notificationConfigCache.config;
+}
 
-// Also watch projects dir for metadata changes
-const projectsWatcher = chokidar.watch(PROJECTS_DIR, {
-  persistent: true,
-  ignoreInitial: true,
-  depth: 2
-});
+function sendWebhook(hook, notification) {
+  const body = hook.format === 'slack'
+    ? { text: `*${notification.title}*\n${notification.message}` }
+    : notification;
+  fetch(hook.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(hook.headers || {}) },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+  })
+    .then(res => {
+      if (!res.ok) console.error(`Webhook ${hook.url} responded with ${res.status}`);
+    })
+    .catch(e => console.error(`Webhook ${hook.url} failed:`, e.message));
+}
 
-projectsWatcher.on('all', (event, filePath) => {
-  if ((event === 'add' || event === 'change' || event === 'unlink') && filePath.endsWith('.jsonl')) {
-    // Invalidate cache on any change
-    lastMetadataRefresh = 0;
-    broadcast({ type: 'metadata-update' });
+function notify(type, fields) {
+  const config = loadNotificationConfig();
+  if (!config.events[type]) return;
+  const notification = { type, timestamp: new Date().toISOString(), ...fields };
+  // A replayed notification would raise the same desktop alert again on every reconnect
+  broadcast({ type: 'notification', notification }, { replayable: false });
+  for (const hook of config.webhooks) {
+    if (!hook.url) continue;
+    if (Array.isArray(hook.events) && !hook.events.includes(type)) continue;
+    sendWebhook(hook, notification);
   }
-});
+}
 
-const plansWatcher = chokidar.watch(PLANS_DIR, {
-  persistent: true,
-  ignoreInitial: true,
-  depth: 0
-});
+function sessionLabel(sessionId) {
+  return getSessionDisplayName(sessionId, loadSessionMetadata()[sessionId]) || sessionId.slice(0, 8);
+}
 
-plansWatcher.on('all', (event, filePath) => {
-  if ((event === 'add' || event === 'change' || event === 'unlink') && filePath.endsWith('.md')) {
-    lastMetadataRefresh = 0;
-    broadcast({ type: 'metadata-update' });
-    if (event === 'change') {
-      const slug = path.basename(filePath, '.md');
-      broadcast({ type: 'plan-update', slug });
+// When the task's current in_progress stint began, from recorded history or the startup baseline
+function inProgressSince(sessionId, taskId) {
+  let since = null;
+  let lastStatus = null;
+  for (const e of loadTaskHistory(sessionId).events) {
+    if (e.taskId !== taskId) continue;
+    const status = e.type === 'deleted' ? null : e.snapshot?.status;
+    if (status === 'in_progress' && lastStatus !== 'in_progress') since = e.ts;
+    lastStatus = status;
+  }
+  if (lastStatus === 'in_progress') return since;
+  const baseline = taskBaselines.get(`${sessionId}/${taskId}`);
+  return baseline?.snapshot.status === 'in_progress' ? baseline.ts : null;
+}
+
+// Only tasks that cross the threshold while the viewer runs are reported, not every abandoned session
+function checkStalledTasks() {
+  const config = loadNotificationConfig();
+  if (!config.events['task-stalled'] || !config.stalledMinutes) return;
+  const thresholdMs = config.stalledMinutes * 60000;
+
+  for (const sessionId of listSessionIds()) {
+    for (const [taskId, status] of getSessionTaskStatuses(sessionId)) {
+      if (status !== 'in_progress') continue;
+      const since = inProgressSince(sessionId, taskId);
+      if (!since) continue;
+      const crossedAt = Date.parse(since) + thresholdMs;
+      const key = `${sessionId}/${taskId}@${since}`;
+      if (crossedAt > Date.now() || crossedAt < NOTIFICATIONS_STARTED_AT || stalledNotified.has(key)) continue;
+      stalledNotified.add(key);
+
+      let subject = '';
+      try {
+        subject = JSON.parse(readFileSync(path.join(getSessionTasksDir(sessionId), `${taskId}.json`), 'utf8')).subject || '';
+      } catch (e) { /* deleted since */ }
+      notify('task-stalled', {
+        title: `Task #${taskId} in progress for ${config.stalledMinutes}+ min`,
+        message: `${subject} (${sessionLabel(sessionId)})`,
+        sessionId,
+        taskId
+      });
     }
   }
-});
+}
 
-app.use('/api', (req, res) => {
-  res.status(404).json({ error: 'Not found' });
-});
+function teamMemberNames(teamName) {
+  const config = loadTeamConfig(teamName);
+  return config ? (config.members || []).map(m => m.name || m.agentId).filter(Boolean) : null;
+}
 
-// Start server
-const server = app.listen(PORT, () => {
-  const actualPort = server.address().port;
-  console.log(`Claude Task Viewer running at http://localhost:${actualPort}`);
+function seedTeamMembers() {
+  for (const root of CLAUDE_ROOTS) {
+    if (!existsSync(root.teamsDir)) continue;
+    for (const dir of readdirSync(root.teamsDir, { withFileTypes: true })) {
+      if (!dir.isDirectory() || teamMembers.has(dir.name)) continue;
+      const names = teamMemberNames(dir.name);
+      if (names) teamMembers.set(dir.name, new Set(names));
+    }
+  }
+}
 
-  if (process.argv.includes('--open')) {
-    import('open').then(open => open.default(`http://localhost:${actualPort}`));
+// A team seen for the first time is recorded silently; members added later are announced
+function checkTeamMembers(teamName) {
+  const names = teamMemberNames(teamName);
+  if (!names) return;
+  const known = teamMembers.get(teamName);
+  teamMembers.set(teamName, new Set(names));
+  if (!known) return;
+  for (const name of names) {
+    if (known.has(name)) continue;
+    notify('member-joined', {
+      title: `${name} joined the team`,
+      message: sessionLabel(teamName),
+      sessionId: teamName
+    });
   }
-});
+}
+
+/**
+ * Watch every root and serve the board. CLI subcommands skip this: they read the same files
+ * (or watch a single session themselves) without recording history or sending notifications.
+ */
+function startServer() {
+  // Watch for file changes (chokidar handles non-existent paths)
+  const watcher = chokidar.watch(CLAUDE_ROOTS.map(r => r.tasksDir), {
+    persistent: true,
+    ignoreInitial: true,
+    depth: 2
+  });
+
+  watcher.on('all', (event, filePath) => {
+    if ((event === 'add' || event === 'change' || event === 'unlink') && filePath.endsWith('.json')) {
+      const root = rootContaining(filePath, 'tasksDir');
+      if (!root) return;
+      const relativePath = path.relative(root.tasksDir, filePath);
+      const sessionId = relativePath.split(path.sep)[0];
+      const taskId = path.basename(filePath, '.json');
+      // The same session in a later root is shadowed by the first one
+      const owner = findSessionRoot(sessionId);
+      if (owner && owner !== root) return;
+
+      const file = event !== 'unlink' ? readTaskFile(filePath) : null;
+      const task = file ? file.task : null;
+      // Partially written file — the next change event will carry the full content
+      if (!task && event !== 'unlink') return;
+
+      const entry = recordTaskEvent(sessionId, taskId, task, event === 'add');
+      if (searchIndexBuilt) indexSearchTask(sessionId, taskId, task);
+
+      const statuses = getSessionTaskStatuses(sessionId);
+      if (task) statuses.set(taskId, task.status);
+      else statuses.delete(taskId);
+      const counters = sessionCounters(sessionId);
+
+      if (entry?.type === 'updated' && entry.changes.status?.to === 'completed') {
+        recordTaskCompletion(sessionId, taskId);
+        notify('task-completed', {
+          title: `Task #${taskId} completed`,
+          message: `${task.subject || ''} (${sessionLabel(sessionId)})`,
+          sessionId,
+          taskId
+        });
+        if (counters.completed === counters.taskCount) {
+          notify('session-done', {
+            title: 'All tasks completed',
+            message: `${sessionLabel(sessionId)}: ${counters.taskCount} tasks done`,
+            sessionId
+          });
+        }
+      }
 
-server.on('error', (err) => {
-  if (err.code === 'EADDRINUSE') {
-    console.log(`Port ${PORT} in use, trying random port...`);
-    const fallback = app.listen(0, () => {
-      const actualPort = fallback.address().port;
-      console.log(`Claude Task Viewer running at http://localhost:${actualPort}`);
+      let modifiedAt = new Date().toISOString();
+      if (task) {
+        try { modifiedAt = statSync(filePath).mtime.toISOString(); } catch (e) { /* deleted since */ }
+      }
 
-      if (process.argv.includes('--open')) {
-        import('open').then(open => open.default(`http://localhost:${actualPort}`));
+      // Push the changed task itself so clients don't refetch every session
+      const meta = loadSessionMetadata()[sessionId] || {};
+      if (task) {
+        attachTaskActivity(enrichTasksWithAgents([task], meta.jsonlPath), meta.jsonlPath);
+        task.etag = file.etag;
       }
-    });
-  } else {
-    throw err;
+
+      broadcast({
+        type: 'update',
+        event,
+        sessionId,
+        taskId,
+        file: path.basename(filePath),
+        task,
+        session: {
+          name: getSessionDisplayName(sessionId, meta),
+          project: meta.project || null,
+          modifiedAt,
+          ...counters
+        }
+      });
+    }
+  });
+
+  loadTranscriptIndex();
+  seedTaskBaselines();
+  seedPlanRevisions();
+  for (const root of CLAUDE_ROOTS) console.log(`Watching for changes in: ${root.tasksDir} [${root.label}]`);
+
+  // Watch teams directory for config changes
+  const teamsWatcher = chokidar.watch(CLAUDE_ROOTS.map(r => r.teamsDir), {
+    persistent: true,
+    ignoreInitial: true,
+    depth: 3
+  });
+
+  teamsWatcher.on('all', (event, filePath) => {
+    if ((event === 'add' || event === 'change' || event === 'unlink') && filePath.endsWith('.json')) {
+      const root = rootContaining(filePath, 'teamsDir');
+      if (!root) return;
+      const relativePath = path.relative(root.teamsDir, filePath);
+      const teamName = relativePath.split(path.sep)[0];
+      teamConfigCache.delete(teamName);
+      if (event !== 'unlink' && path.basename(filePath) === 'config.json') checkTeamMembers(teamName);
+      broadcast({ type: 'team-update', teamName });
+    }
+  });
+
+  seedTeamMembers();
+  setInterval(checkStalledTasks, STALL_CHECK_INTERVAL).unref();
+  // A read-only viewer never moves files, including through the retention rules
+  if (!READ_ONLY && (AUTO_ARCHIVE_DAYS > 0 || ARCHIVE_RETENTION_DAYS > 0)) {
+    runArchiveSweep();
+    setInterval(runArchiveSweep, ARCHIVE_SWEEP_INTERVAL).unref();
   }
-});
+  for (const root of CLAUDE_ROOTS) console.log(`Watching for team changes in: ${root.teamsDir} [${root.label}]`);
+
+  // Also watch projects dir for metadata changes
+  const projectsWatcher = chokidar.watch(CLAUDE_ROOTS.map(r => r.projectsDir), {
+    persistent: true,
+    ignoreInitial: true,
+    depth: 3 // <project>/<session>/subagents/agent-<id>.jsonl
+  });
+
+  projectsWatcher.on('all', (event, filePath) => {
+    if ((event === 'add' || event === 'change' || event === 'unlink') && filePath.endsWith('.jsonl')) {
+      if (event !== 'unlink') scheduleActivityPush(filePath);
+      // Subagent transcripts only feed the activity stream
+      if (path.basename(path.dirname(filePath)) === 'subagents') return;
+      // Invalidate cache on any change
+      lastMetadataRefresh = 0;
+      // Main session transcripts sit directly in a project dir; subagent transcripts are not searched
+      if (searchTranscriptsIndexed && CLAUDE_ROOTS.some(r => r.projectsDir === path.dirname(path.dirname(filePath)))) {
+        indexSearchTranscript(path.basename(filePath, '.jsonl'), filePath);
+      }
+      broadcast({ type: 'metadata-update' });
+    }
+  });
+
+  const plansWatcher = chokidar.watch(CLAUDE_ROOTS.map(r => r.plansDir), {
+    persistent: true,
+    ignoreInitial: true,
+    depth: 0
+  });
+
+  plansWatcher.on('all', (event, filePath) => {
+    if ((event === 'add' || event === 'change' || event === 'unlink') && filePath.endsWith('.md')) {
+      lastMetadataRefresh = 0;
+      const slug = path.basename(filePath, '.md');
+      if (searchIndexBuilt) indexSearchPlan(slug);
+      const revision = event === 'unlink' ? null : recordPlanRevision(slug);
+      broadcast({ type: 'metadata-update' });
+      if (event === 'change') {
+        broadcast({ type: 'plan-update', slug, rev: revision ? revision.rev : null });
+      }
+    }
+  });
+
+  app.use('/api', (req, res) => {
+    res.status(404).json({ error: 'Not found' });
+  });
+
+  // Start server
+  const server = app.listen(PORT, HOST, () => onListening(server.address().port));
+
+  server.on('error', (err) => {
+    if (err.code === 'EADDRINUSE') {
+      console.log(`Port ${PORT} in use, trying random port...`);
+      const fallback = app.listen(0, HOST, () => onListening(fallback.address().port));
+    } else {
+      throw err;
+    }
+  });
+}
+
+function onListening(actualPort) {
+  const displayHost = LOOPBACK_HOSTS.has(HOST) ? 'localhost' : (HOST.includes(':') ? `[${HOST}]` : HOST);
+  const url = `http://${displayHost}:${actualPort}`;
+  console.log(`Claude Task Viewer running at ${url}${READ_ONLY ? ' (read-only)' : ''}`);
+  if (!LOOPBACK_HOSTS.has(HOST) && !AUTH_TOKEN && !BASIC_AUTH) {
+    console.warn(`Warning: listening on ${HOST} without --token or --auth; anyone who can reach it can ${READ_ONLY ? 'read' : 'change'} your tasks`);
+  }
+
+  if (process.argv.includes('--open')) {
+    import('open').then(open => open.default(AUTH_TOKEN ? `${url}/?token=${encodeURIComponent(AUTH_TOKEN)}` : url));
+  }
+}
+
+module.exports = {
+  app,
+  CLAUDE_ROOTS,
+  EXPORT_FORMATS,
+  getArgValue,
+  loadSessionMetadata,
+  listSessionIds,
+  buildSessionList,
+  readSessionTasks,
+  getSessionTasksDir,
+  getSessionDisplayName,
+  enrichTasksWithAgents,
+  buildSessionExport,
+  buildProjectExports,
+  renderExport,
+  computeAnalytics,
+  loadTranscriptIndex,
+  startServer
+};
+
+
+// The CLI (cli.js) is the package's entry point; running this file directly only starts the board
+if (require.main === module) startServer();
@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, task } = require('./helpers');
+
+const SESSION = 'aaaaaaaa-0000-0000-0000-000000000003';
+const OTHER = 'aaaaaaaa-0000-0000-0000-000000000004';
+let fixture;
+
+before(async () => {
+  fixture = await startTestServer({
+    sessions: {
+      [SESSION]: [task(1, { status: 'completed' }), task(2, { description: 'Keep me' })],
+      [OTHER]: [task(1), task(2), task(3)]
+    }
+  });
+});
+
+after(() => fixture.close());
+
+test('a session is archived, listed, restored with its task files unchanged and then gone from the archive', async () => {
+  const original = [fixture.readTask(SESSION, '1'), fixture.readTask(SESSION, '2')];
+
+  const archived = await fixture.request('POST', `/api/sessions/${SESSION}/archive`);
+  assert.equal(archived.status, 200);
+  assert.deepEqual(archived.body.archived.sort(), ['1', '2']);
+  assert.ok(!fixture.taskExists(SESSION, '1') && !fixture.taskExists(SESSION, '2'));
+
+  const list = await fixture.request('GET', '/api/archive');
+  const entry = list.body.sessions.find(s => s.sessionId === SESSION);
+  assert.equal(entry.taskCount, 2);
+  assert.equal(entry.completed, 1);
+
+  const detail = await fixture.request('GET', `/api/archive/${SESSION}`);
+  assert.deepEqual(detail.body.taskFiles, original);
+
+  const restored = await fixture.request('POST', `/api/archive/${SESSION}/restore`, {});
+  assert.equal(restored.status, 200);
+  assert.deepEqual(restored.body.restored.sort(), ['1', '2']);
+  assert.deepEqual([fixture.readTask(SESSION, '1'), fixture.readTask(SESSION, '2')], original);
+  assert.equal((await fixture.request('GET', `/api/archive/${SESSION}`)).status, 404);
+});
+
+test('a deleted task is archived and can be restored on its own', async () => {
+  const deleted = await fixture.request('DELETE', `/api/tasks/${OTHER}/2`);
+  assert.equal(deleted.status, 200);
+  assert.ok(!fixture.taskExists(OTHER, '2'));
+
+  const restored = await fixture.request('POST', `/api/archive/${OTHER}/restore`, { taskIds: ['2'] });
+  assert.deepEqual(restored.body.restored, ['2']);
+  assert.ok(fixture.taskExists(OTHER, '2'));
+});
+
+test('restoring over a live task with the same id is a conflict and keeps the archived copy', async () => {
+  await fixture.request('DELETE', `/api/tasks/${OTHER}/3`);
+  fixture.writeTask(OTHER, task(3, { subject: 'Recreated by the agent' }));
+
+  const restored = await fixture.request('POST', `/api/archive/${OTHER}/restore`, {});
+  assert.equal(restored.status, 409);
+  assert.deepEqual(restored.body.conflicts, ['3']);
+  assert.equal(fixture.readTask(OTHER, '3').subject, 'Recreated by the agent');
+  assert.equal((await fixture.request('GET', `/api/archive/${OTHER}`)).body.taskCount, 1);
+});
+
+test('purging removes archived tasks for good', async () => {
+  const purged = await fixture.request('DELETE', `/api/archive/${OTHER}?taskId=3`);
+  assert.deepEqual(purged.body.purged, ['3']);
+  assert.equal((await fixture.request('GET', `/api/archive/${OTHER}`)).status, 404);
+  assert.equal((await fixture.request('DELETE', `/api/archive/${OTHER}`)).status, 404);
+});
+
+test('unknown sessions and ids that are not plain names are rejected', async () => {
+  assert.equal((await fixture.request('POST', '/api/sessions/no-such-session/archive')).status, 404);
+  for (const id of ['..%2F..%2Fescape', 'a.b']) {
+    assert.equal((await fixture.request('POST', `/api/sessions/${id}/archive`)).status, 400, id);
+    assert.equal((await fixture.request('POST', `/api/archive/${id}/restore`, {})).status, 400, id);
+    assert.equal((await fixture.request('DELETE', `/api/archive/${id}`)).status, 400, id);
+  }
+});
@@ -0,0 +1,51 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, task } = require('./helpers');
+
+const SESSION = 'aaaaaaaa-0000-0000-0000-000000000005';
+let fixture;
+let graph;
+
+before(async () => {
+  fixture = await startTestServer({
+    sessions: {
+      [SESSION]: [
+        task(1, { status: 'completed', blocks: ['2'] }),
+        task(2, { blockedBy: ['1'] }),
+        task(3, { blockedBy: ['2', '9'] }),
+        task(4, { blockedBy: ['5'] }),
+        task(5, { blockedBy: ['4'] }),
+        task(6, { blockedBy: ['5'] }),
+        task(7, { blockedBy: ['3'] })
+      ]
+    }
+  });
+  graph = (await fixture.request('GET', `/api/sessions/${SESSION}/graph`)).body;
+});
+
+after(() => fixture.close());
+
+test('edges are read from either side of a relation and not duplicated', () => {
+  const edges = graph.edges.map(e => `${e.from}>${e.to}`).sort();
+  assert.deepEqual(edges, ['1>2', '2>3', '3>7', '4>5', '5>4', '5>6']);
+});
+
+test('a strongly connected component is reported as one cycle', () => {
+  assert.deepEqual(graph.cycles, [['4', '5']]);
+  assert.deepEqual(graph.nodes.filter(n => n.inCycle).map(n => n.id).sort(), ['4', '5']);
+  assert.deepEqual(graph.edges.filter(e => e.inCycle).map(e => `${e.from}>${e.to}`).sort(), ['4>5', '5>4']);
+});
+
+test('layers collapse a cycle into one node', () => {
+  const layer = Object.fromEntries(graph.nodes.map(n => [n.id, n.layer]));
+  assert.deepEqual(layer, { 1: 0, 2: 1, 3: 2, 4: 0, 5: 0, 6: 1, 7: 3 });
+});
+
+test('the critical path is the longest chain of incomplete tasks', () => {
+  assert.deepEqual(graph.criticalPath, ['2', '3', '7']);
+  assert.deepEqual(graph.edges.filter(e => e.critical).map(e => `${e.from}>${e.to}`), ['2>3', '3>7']);
+});
+
+test('references to missing tasks are reported as dangling', () => {
+  assert.deepEqual(graph.dangling, [{ taskId: '3', field: 'blockedBy', missingId: '9' }]);
+});
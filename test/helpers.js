@@ -0,0 +1,77 @@
+/**
+ * Test fixture: a throwaway Claude config dir and data dir under the OS temp dir, and the server's
+ * app listening on a random port. server.js reads --dir and KANBAN_DATA_DIR when it is first
+ * required, so each test file (node --test runs every file in its own process) gets one fixture.
+ */
+const { mkdtempSync, mkdirSync, writeFileSync, readFileSync, existsSync, rmSync } = require('fs');
+const path = require('path');
+const os = require('os');
+
+// sessions: { sessionId: [task, ...] }; transcripts and history: { sessionId: [jsonl entry, ...] }
+async function startTestServer({ sessions = {}, transcripts = {}, history = {} } = {}) {
+  const root = mkdtempSync(path.join(os.tmpdir(), 'kanban-test-'));
+  const claudeDir = path.join(root, 'claude');
+  for (const [sessionId, tasks] of Object.entries(sessions)) {
+    const tasksDir = path.join(claudeDir, 'tasks', sessionId);
+    mkdirSync(tasksDir, { recursive: true });
+    for (const task of tasks) writeFileSync(path.join(tasksDir, `${task.id}.json`), JSON.stringify(task, null, 2));
+  }
+  for (const [sessionId, entries] of Object.entries(transcripts)) {
+    const projectDir = path.join(claudeDir, 'projects', '-test-project');
+    mkdirSync(projectDir, { recursive: true });
+    writeFileSync(path.join(projectDir, `${sessionId}.jsonl`), entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+  }
+
+  const dataDir = path.join(root, 'data');
+  for (const [sessionId, entries] of Object.entries(history)) {
+    mkdirSync(path.join(dataDir, 'history'), { recursive: true });
+    writeFileSync(path.join(dataDir, 'history', `${sessionId}.jsonl`), entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+  }
+
+  process.env.KANBAN_DATA_DIR = dataDir;
+  process.argv.push(`--dir=${claudeDir}`);
+  const kanban = require('../server');
+
+  const server = await new Promise(resolve => {
+    const listening = kanban.app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const { csrfToken } = await (await fetch(`${baseUrl}/api/config`)).json();
+
+  // Resolves to { status, headers, body } with the JSON body parsed
+  async function request(method, urlPath, body, headers = {}) {
+    const res = await fetch(baseUrl + urlPath, {
+      method,
+      headers: {
+        ...(method !== 'GET' ? { 'X-CSRF-Token': csrfToken } : {}),
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await res.text();
+    return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+  }
+
+  function taskPath(sessionId, taskId) {
+    return path.join(claudeDir, 'tasks', sessionId, `${taskId}.json`);
+  }
+
+  return {
+    request,
+    taskPath,
+    readTask: (sessionId, taskId) => JSON.parse(readFileSync(taskPath(sessionId, taskId), 'utf8')),
+    taskExists: (sessionId, taskId) => existsSync(taskPath(sessionId, taskId)),
+    writeTask: (sessionId, task) => writeFileSync(taskPath(sessionId, task.id), JSON.stringify(task, null, 2)),
+    close: async () => {
+      await new Promise(resolve => server.close(resolve));
+      rmSync(root, { recursive: true, force: true });
+    }
+  };
+}
+
+function task(id, fields = {}) {
+  return { id: String(id), subject: `Task ${id}`, description: '', activeForm: `Doing task ${id}`, status: 'pending', blocks: [], blockedBy: [], ...fields };
+}
+
+module.exports = { startTestServer, task };
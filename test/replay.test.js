@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, task } = require('./helpers');
+
+const SESSION = 'aaaaaaaa-0000-0000-0000-000000000007';
+let fixture;
+let replay;
+
+function toolUse(ts, id, name, input) {
+  return { type: 'assistant', timestamp: ts, message: { role: 'assistant', content: [{ type: 'tool_use', id, name, input }] } };
+}
+
+function toolResult(ts, id, text, isError = false) {
+  return { type: 'user', timestamp: ts, message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: id, content: text, is_error: isError }] } };
+}
+
+before(async () => {
+  fixture = await startTestServer({
+    sessions: {
+      [SESSION]: [task(1, { status: 'completed', blocks: ['2'] }), task(3)]
+    },
+    transcripts: {
+      [SESSION]: [
+        toolUse('2026-01-01T10:00:00.000Z', 'c1', 'TaskCreate', { subject: 'Parse input', activeForm: 'Parsing input' }),
+        toolResult('2026-01-01T10:00:01.000Z', 'c1', 'Task #1 created successfully: Parse input'),
+        toolUse('2026-01-01T10:01:00.000Z', 'c2', 'TaskCreate', { subject: 'Render output' }),
+        toolResult('2026-01-01T10:01:01.000Z', 'c2', 'Task #2 created successfully: Render output'),
+        toolUse('2026-01-01T10:02:00.000Z', 'u1', 'TaskUpdate', { taskId: '2', addBlockedBy: ['1'] }),
+        toolUse('2026-01-01T10:03:00.000Z', 'u2', 'TaskUpdate', { taskId: '1', status: 'in_progress', owner: 'parser' }),
+        toolUse('2026-01-01T10:04:00.000Z', 'u3', 'TaskUpdate', { taskId: '2', status: 'blocked' }),
+        toolResult('2026-01-01T10:04:01.000Z', 'u3', 'Error: invalid status', true),
+        toolUse('2026-01-01T10:10:00.000Z', 'u4', 'TaskUpdate', { taskId: '1', status: 'completed' })
+      ]
+    },
+    history: {
+      [SESSION]: [
+        // The watcher saw the same completion the transcript recorded
+        { ts: '2026-01-01T10:10:00.500Z', taskId: '1', type: 'updated', snapshot: { subject: 'Parse input', status: 'completed', owner: 'parser', activeForm: 'Parsing input', blockedBy: [], blocks: ['2'] } },
+        // A task written without dependency lists is snapshotted with null ones
+        { ts: '2026-01-01T10:20:00.000Z', taskId: '3', type: 'created', snapshot: { subject: 'Task 3', status: 'pending', owner: null, activeForm: null, blockedBy: null, blocks: null } },
+        { ts: '2026-01-01T10:30:00.000Z', taskId: '2', type: 'deleted' }
+      ]
+    }
+  });
+  replay = (await fixture.request('GET', `/api/sessions/${SESSION}/replay`)).body;
+});
+
+after(() => fixture.close());
+
+test('transcript calls and recorded history are merged in time order', () => {
+  const events = replay.events.map(e => `${e.taskId} ${e.type} ${e.source}`);
+  assert.deepEqual(events, [
+    '1 created transcript',
+    '2 created transcript',
+    '2 updated transcript',
+    '1 updated transcript',
+    '1 updated transcript',
+    '1 updated transcript',
+    '3 created history',
+    '2 deleted history'
+  ]);
+  assert.equal(replay.start, '2026-01-01T10:00:00.000Z');
+  assert.equal(replay.end, '2026-01-01T10:30:00.000Z');
+});
+
+test('created tasks carry their full state and updates only what changed', () => {
+  assert.deepEqual(replay.events[0].changes, { subject: 'Parse input', status: 'pending', owner: null, activeForm: 'Parsing input', blockedBy: [], blocks: [] });
+  assert.deepEqual(replay.events[4].changes, { status: 'in_progress', owner: 'parser' });
+  assert.deepEqual(replay.events[5].changes, { status: 'completed' });
+});
+
+test('a dependency added from one side is mirrored on the other', () => {
+  assert.deepEqual(replay.events[2].changes, { blockedBy: ['1'] });
+  assert.deepEqual(replay.events[3].changes, { blocks: ['2'] });
+});
+
+test('failed calls are skipped and null dependency lists replay as empty ones', () => {
+  assert.ok(!replay.events.some(e => e.changes.status === 'blocked'));
+  assert.deepEqual(replay.events[6].changes.blockedBy, []);
+  assert.deepEqual(replay.events[6].changes.blocks, []);
+});
+
+test('unknown sessions are not found', async () => {
+  assert.equal((await fixture.request('GET', '/api/sessions/no-such-session/replay')).status, 404);
+});
@@ -0,0 +1,46 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, task } = require('./helpers');
+
+const SESSION = 'aaaaaaaa-0000-0000-0000-000000000006';
+const TASK_COUNT = 520;
+let fixture;
+
+before(async () => {
+  const tasks = [];
+  for (let id = 1; id <= TASK_COUNT; id++) {
+    tasks.push(task(id, { subject: `Parser step ${id}`, status: id % 2 ? 'completed' : 'pending' }));
+  }
+  tasks.push(task(TASK_COUNT + 1, { subject: 'Write the tokenizer', description: 'Split input into tokens before parsing', owner: 'alice' }));
+  fixture = await startTestServer({ sessions: { [SESSION]: tasks } });
+});
+
+after(() => fixture.close());
+
+async function search(params) {
+  const { status, body } = await fixture.request('GET', `/api/search?${new URLSearchParams(params)}`);
+  assert.equal(status, 200);
+  return body;
+}
+
+test('the result limit defaults to 50 and is clamped to 1-500', async () => {
+  for (const [limit, expected] of [[undefined, 50], ['abc', 50], ['-1', 1], ['0', 1], ['1', 1], ['9999', 500]]) {
+    const body = await search(limit === undefined ? { q: 'parser' } : { q: 'parser', limit });
+    assert.equal(body.results.length, expected, `limit=${limit}`);
+    assert.equal(body.total, TASK_COUNT);
+  }
+});
+
+test('operators filter the matches', async () => {
+  assert.equal((await search({ q: 'parser status:pending', limit: 500 })).total, TASK_COUNT / 2);
+  assert.equal((await search({ q: 'parser -status:done', limit: 500 })).total, TASK_COUNT / 2);
+  const [owned] = (await search({ q: 'owner:alice' })).results;
+  assert.equal(owned.taskId, String(TASK_COUNT + 1));
+});
+
+test('prefixes, phrases and exclusions', async () => {
+  assert.equal((await search({ q: 'token' })).total, 1);
+  assert.equal((await search({ q: '"into tokens"' })).total, 1);
+  assert.equal((await search({ q: '"tokens into"' })).total, 0);
+  assert.equal((await search({ q: 'tokenizer -input' })).total, 0);
+});
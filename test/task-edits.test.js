@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, task } = require('./helpers');
+
+const SESSION = 'aaaaaaaa-0000-0000-0000-000000000001';
+let fixture;
+
+before(async () => {
+  fixture = await startTestServer({
+    sessions: {
+      [SESSION]: [
+        task(1, { status: 'completed', blocks: ['2'] }),
+        task(2, { status: 'in_progress', blockedBy: ['1'] }),
+        task(3)
+      ]
+    }
+  });
+});
+
+after(() => fixture.close());
+
+test('creating a task takes the next id and mirrors its dependencies', async () => {
+  const { status, body } = await fixture.request('POST', `/api/tasks/${SESSION}`, { subject: '  Write docs ', blockedBy: ['2'], blocks: ['3'] });
+  assert.equal(status, 201);
+  assert.equal(body.task.id, '4');
+  assert.equal(body.task.subject, 'Write docs');
+  assert.equal(body.task.status, 'pending');
+  assert.deepEqual(fixture.readTask(SESSION, '2').blocks, ['4']);
+  assert.deepEqual(fixture.readTask(SESSION, '3').blockedBy, ['4']);
+});
+
+test('creating a task rejects missing or non-string fields', async () => {
+  assert.equal((await fixture.request('POST', `/api/tasks/${SESSION}`, { subject: '' })).status, 400);
+  assert.equal((await fixture.request('POST', `/api/tasks/${SESSION}`, { subject: 5 })).status, 400);
+  assert.equal((await fixture.request('POST', `/api/tasks/${SESSION}`, { subject: 'x', owner: ['me'] })).status, 400);
+  assert.equal((await fixture.request('POST', `/api/tasks/${SESSION}`, { subject: 'x', blockedBy: ['99'] })).status, 400);
+});
+
+test('creating a task in an unknown or unsafe session fails before touching the disk', async () => {
+  assert.equal((await fixture.request('POST', '/api/tasks/no-such-session', { subject: 'x' })).status, 404);
+  assert.equal((await fixture.request('POST', '/api/tasks/..%2F..%2Fescape', { subject: 'x' })).status, 400);
+});
+
+test('editing fields validates status, subject and owner', async () => {
+  assert.equal((await fixture.request('PUT', `/api/tasks/${SESSION}/3`, { status: 'done' })).status, 400);
+  assert.equal((await fixture.request('PUT', `/api/tasks/${SESSION}/3`, { subject: '   ' })).status, 400);
+  assert.equal((await fixture.request('PUT', `/api/tasks/${SESSION}/3`, { owner: 7 })).status, 400);
+
+  const { status, body } = await fixture.request('PUT', `/api/tasks/${SESSION}/3`, { status: 'in_progress', owner: ' alice ' });
+  assert.equal(status, 200);
+  assert.equal(body.task.owner, 'alice');
+  assert.equal(fixture.readTask(SESSION, '3').status, 'in_progress');
+
+  await fixture.request('PUT', `/api/tasks/${SESSION}/3`, { owner: '' });
+  assert.equal(fixture.readTask(SESSION, '3').owner, undefined);
+});
+
+test('a dependency that would close a cycle is rejected and nothing is written', async () => {
+  const before = [fixture.readTask(SESSION, '1'), fixture.readTask(SESSION, '2')];
+  const { status, body } = await fixture.request('PUT', `/api/tasks/${SESSION}/1`, { blockedBy: ['2'] });
+  assert.equal(status, 400);
+  assert.match(body.error, /Dependency cycle/);
+  assert.equal(body.cycle[0], body.cycle[body.cycle.length - 1]);
+  assert.deepEqual([...new Set(body.cycle)].sort(), ['1', '2']);
+  assert.deepEqual([fixture.readTask(SESSION, '1'), fixture.readTask(SESSION, '2')], before);
+});
+
+test('a task cannot depend on itself', async () => {
+  const { status } = await fixture.request('PUT', `/api/tasks/${SESSION}/3`, { blocks: ['3'] });
+  assert.equal(status, 400);
+});
+
+test('removing a dependency updates the other side of it', async () => {
+  const { status, body } = await fixture.request('PUT', `/api/tasks/${SESSION}/2`, { blockedBy: [] });
+  assert.equal(status, 200);
+  assert.deepEqual(body.updated.sort(), ['1', '2']);
+  assert.deepEqual(fixture.readTask(SESSION, '1').blocks, []);
+});
+
+test('notes must be non-empty strings and are appended to the description', async () => {
+  assert.equal((await fixture.request('POST', `/api/tasks/${SESSION}/3/note`, { note: 5 })).status, 400);
+  assert.equal((await fixture.request('POST', `/api/tasks/${SESSION}/3/note`, { note: '  ' })).status, 400);
+
+  const { status } = await fixture.request('POST', `/api/tasks/${SESSION}/3/note`, { note: 'Check the edge cases' });
+  assert.equal(status, 200);
+  assert.match(fixture.readTask(SESSION, '3').description, /#### \[Note added by user\]\n\nCheck the edge cases$/);
+});
+
+test('task ids from the URL cannot leave the session dir', async () => {
+  assert.equal((await fixture.request('PUT', `/api/tasks/${SESSION}/..%2F1`, { subject: 'x' })).status, 400);
+  assert.equal((await fixture.request('DELETE', `/api/tasks/${SESSION}/..%2F1`)).status, 400);
+});
@@ -0,0 +1,104 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, task } = require('./helpers');
+
+const SESSION = 'aaaaaaaa-0000-0000-0000-000000000002';
+let fixture;
+
+before(async () => {
+  fixture = await startTestServer({
+    sessions: {
+      [SESSION]: [task(1), task(2), task(3), task(4)]
+    }
+  });
+});
+
+after(() => fixture.close());
+
+// The task's etag as the board would have loaded it
+async function loadEtag(taskId) {
+  const { body } = await fixture.request('GET', `/api/sessions/${SESSION}`);
+  return body.find(t => t.id === String(taskId)).etag;
+}
+
+// An agent rewriting the task file behind the board's back
+function agentEdit(taskId, fields) {
+  fixture.writeTask(SESSION, { ...fixture.readTask(SESSION, taskId), ...fields });
+}
+
+test('every task in the session list carries its own etag', async () => {
+  const { body } = await fixture.request('GET', `/api/sessions/${SESSION}`);
+  const etags = body.map(t => t.etag);
+  assert.ok(etags.every(etag => /^"[0-9a-f]{16}"$/.test(etag)));
+  assert.equal(new Set(etags).size, etags.length);
+});
+
+test('an edit against the current version is applied and returns the new etag', async () => {
+  const etag = await loadEtag(1);
+  const { status, headers, body } = await fixture.request('PUT', `/api/tasks/${SESSION}/1`, { subject: 'Renamed' }, { 'If-Match': etag });
+  assert.equal(status, 200);
+  assert.equal(body.merged, false);
+  assert.notEqual(headers.get('etag'), etag);
+  assert.equal(headers.get('etag'), await loadEtag(1));
+  assert.equal(fixture.readTask(SESSION, '1').subject, 'Renamed');
+});
+
+test('an edit to fields the agent did not touch is merged into its change', async () => {
+  const etag = await loadEtag(2);
+  agentEdit(2, { status: 'in_progress' });
+
+  const { status, body } = await fixture.request('PUT', `/api/tasks/${SESSION}/2`, { description: 'More detail' }, { 'If-Match': etag });
+  assert.equal(status, 200);
+  assert.equal(body.merged, true);
+  const saved = fixture.readTask(SESSION, '2');
+  assert.equal(saved.status, 'in_progress');
+  assert.equal(saved.description, 'More detail');
+});
+
+test('an edit to a field the agent changed is rejected with 409 and the current task', async () => {
+  const etag = await loadEtag(3);
+  agentEdit(3, { subject: 'Agent subject' });
+
+  const { status, headers, body } = await fixture.request('PUT', `/api/tasks/${SESSION}/3`, { subject: 'Board subject' }, { 'If-Match': etag });
+  assert.equal(status, 409);
+  assert.deepEqual(body.conflicts, ['subject']);
+  assert.equal(body.task.subject, 'Agent subject');
+  assert.equal(headers.get('etag'), body.task.etag);
+  assert.equal(fixture.readTask(SESSION, '3').subject, 'Agent subject');
+
+  // Retrying against the version the 409 returned overwrites it
+  const retry = await fixture.request('PUT', `/api/tasks/${SESSION}/3`, { subject: 'Board subject' }, { 'If-Match': body.task.etag });
+  assert.equal(retry.status, 200);
+  assert.equal(fixture.readTask(SESSION, '3').subject, 'Board subject');
+});
+
+test('making the same change as the agent is not a conflict', async () => {
+  const etag = await loadEtag(3);
+  agentEdit(3, { status: 'completed' });
+
+  const { status } = await fixture.request('PUT', `/api/tasks/${SESSION}/3`, { status: 'completed' }, { 'If-Match': etag });
+  assert.equal(status, 200);
+});
+
+test('a note is appended even when the task changed in between', async () => {
+  const etag = await loadEtag(4);
+  agentEdit(4, { description: 'Agent notes' });
+
+  const { status, body } = await fixture.request('POST', `/api/tasks/${SESSION}/4/note`, { note: 'Board note' }, { 'If-Match': etag });
+  assert.equal(status, 200);
+  assert.equal(body.merged, true);
+  assert.match(fixture.readTask(SESSION, '4').description, /^Agent notes\n\n---\n\n#### \[Note added by user\]\n\nBoard note$/);
+});
+
+test('deleting a task that changed since it was loaded needs the new etag', async () => {
+  const etag = await loadEtag(4);
+  agentEdit(4, { status: 'in_progress' });
+
+  const stale = await fixture.request('DELETE', `/api/tasks/${SESSION}/4`, undefined, { 'If-Match': etag });
+  assert.equal(stale.status, 409);
+  assert.ok(fixture.taskExists(SESSION, '4'));
+
+  const current = await fixture.request('DELETE', `/api/tasks/${SESSION}/4`, undefined, { 'If-Match': stale.body.task.etag });
+  assert.equal(current.status, 200);
+  assert.ok(!fixture.taskExists(SESSION, '4'));
+});